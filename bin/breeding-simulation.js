@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Breeding Simulation command line
+// Runs breeding experiments from src/simulation.js and prints a balance
+// report:
+//
+//   node bin/breeding-simulation.js --generations 30 --strategy target \
+//       --target '{"FC":"Purple","YD":{"gte":4}}' --runs 20 --seed balance
+//
+// Run with --help for all options.
+
+import { BUILT_IN_CHROMOSOMES, loadTraitDefinitions } from "../src/traits.js";
+import { SIMULATION_STRATEGIES, formatBalanceReport, runBreedingSimulation } from "../src/simulation.js";
+
+// ============== COMMAND LINE ==============
+
+// Turn "--population-size 30 --json" style arguments into simulation options
+function parseSimulationArguments(args) {
+    const options = {};
+    const names = {
+        "seed": "seed",
+        "generations": "generations",
+        "population": "populationSize",
+        "population-size": "populationSize",
+        "founders": "founders",
+        "strategy": "strategy",
+        "fraction": "selectionFraction",
+        "score": "score",
+        "target": "target",
+        "target-share": "targetShare",
+        "mutation-rate": "mutationRate",
+        "mutagens": "mutagens",
+        "runs": "runs"
+    };
+    
+    for (let i = 0; i < args.length; i++) {
+        const flag = args[i].replace(/^--/, "");
+        
+        if (flag === "json" || flag === "help" || flag === "linkage") {
+            options[flag] = true;
+            continue;
+        }
+        
+        const name = names[flag];
+        if (!name) {
+            throw new Error(`Unknown option --${flag}`);
+        }
+        
+        const value = args[++i];
+        if (value === undefined) {
+            throw new Error(`Missing value for --${flag}`);
+        }
+        
+        if (name === "target") {
+            options.target = JSON.parse(value);
+        } else if (name === "founders" || name === "mutagens") {
+            options[name] = value.split(",");
+        } else if (name === "strategy") {
+            if (!SIMULATION_STRATEGIES.includes(value)) {
+                throw new Error(`--strategy needs one of ${SIMULATION_STRATEGIES.join(", ")}, got "${value}"`);
+            }
+            options.strategy = value;
+        } else if (name === "seed" || name === "score") {
+            options[name] = value;
+        } else {
+            options[name] = Number(value);
+            if (isNaN(options[name])) {
+                throw new Error(`--${flag} needs a number, got "${value}"`);
+            }
+            if (name === "runs" && !(Number.isInteger(options.runs) && options.runs >= 1)) {
+                throw new Error(`--runs needs a whole number of at least 1, got "${value}"`);
+            }
+            if (name === "populationSize" && !(Number.isInteger(options.populationSize) && options.populationSize >= 2)) {
+                throw new Error(`--${flag} needs a whole number of at least 2, got "${value}"`);
+            }
+        }
+    }
+    
+    return options;
+}
+
+const SIMULATION_USAGE = `Usage: node bin/breeding-simulation.js [options]
+
+  --seed TEXT            Random seed (default "balance")
+  --generations N        Generations to breed (default 20)
+  --population N         Plants per generation (default 20)
+  --founders LIST        Starter types, comma separated, or "random" (default carrot,tomato,corn)
+  --strategy NAME        random, truncation or target (default truncation)
+  --fraction X           Share of each generation kept as parents (default 0.5)
+  --score FIELD          getInfo() field truncation selects on (default sellPrice)
+  --target JSON          Target phenotype, e.g. '{"FC":"Purple","YD":{"gte":4}}'
+  --target-share X       Share of plants that must match the target (default 0.5)
+  --mutation-rate X      Chance per gene of a mutation (default: each trait's own)
+  --mutagens LIST        Mutagens applied to every cross, comma separated (e.g. radiation)
+  --runs N               Independent runs to average (default 1)
+  --linkage              Link genes by the built-in chromosome map (default: independent assortment)
+  --json                 Print the full report as JSON`;
+
+let options;
+try {
+    options = parseSimulationArguments(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n\n${SIMULATION_USAGE}`);
+    process.exit(1);
+}
+
+if (options.help) {
+    console.log(SIMULATION_USAGE);
+    process.exit(0);
+}
+
+if (options.linkage) {
+    loadTraitDefinitions({ chromosomes: BUILT_IN_CHROMOSOMES });
+}
+
+const report = runBreedingSimulation(options);
+
+if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    console.log(formatBalanceReport(report));
+}
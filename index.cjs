@@ -0,0 +1,3 @@
+// CommonJS entry point: require("plant-genetics") loads the ES modules in
+// src/ (Node 20.19 and later can require() ES modules).
+module.exports = require("./src/index.js");
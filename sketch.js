@@ -1,31 +1,463 @@
-function draw() {
-  const canvas = document.getElementById('canvas');
-  const ctx = canvas.getContext('2d');
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
-
-  ctx.fillStyle = 'white';
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-  const waveCount = 5;
-  const maxAmplitude = canvas.height / 4;
-  let amplitude;
-  let centerX;
-  let randomColor;
-
-  for (let x = 10; x < canvas.width - 10; x += 20) {
-    amplitude = Math.random() * maxAmplitude;
-    centerX = x + Math.random() * 30 - 15;
-    randomColor = `hsl(${Math.random() * 360}, 75%, 80%)`;
-
-    for (let y = -amplitude; y < canvas.height + amplitude; y += maxAmplitude / 2) {
-      ctx.fillStyle = randomColor;
-      ctx.fillRect(x, y, 5, Math.abs(y - (canvas.height - centerX)));
+// Animated background with selectable modes: flowing waves, a particle field
+// and a constellation network. Follows the pointer (mouse, pen or touch),
+// keeps the canvas sharp on high-DPI screens, pauses while the tab is hidden
+// and holds still when the user prefers reduced motion.
+//
+// Pick a mode with the buttons, the 1-3 keys or a URL hash (#particles).
+// Space pauses and resumes.
+
+const canvas = document.getElementById('canvas');
+const ctx = canvas.getContext('2d');
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+const BACKGROUND = ['#121730', '#080c1d'];
+const PALETTE = ['#4f46e5', '#6366f1', '#818cf8', '#a5b4fc', '#c4b5fd'];
+
+// Largest time step, so a long frame (or a tab coming back) doesn't make
+// everything jump
+const MAX_STEP = 1 / 20;
+
+const view = { width: 0, height: 0, dpr: 1 };
+const pointer = { x: 0, y: 0, active: false, pressed: false };
+
+let mode = null;
+let state = null;
+let time = 0;
+let lastFrame = null;
+let frameId = null;
+let paused = false;
+let resolutionQuery = null;
+
+function random(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+function pick(values) {
+  return values[Math.floor(Math.random() * values.length)];
+}
+
+// Distance and direction from a point to the pointer, or null when the
+// pointer is off the canvas or further than radius
+function pointerPull(x, y, radius) {
+  if (!pointer.active) return null;
+
+  const dx = pointer.x - x;
+  const dy = pointer.y - y;
+  const distance = Math.hypot(dx, dy);
+  if (distance > radius || distance === 0) return null;
+
+  return { dx: dx / distance, dy: dy / distance, distance, strength: 1 - distance / radius };
+}
+
+// ============== MODES ==============
+
+// Each mode sets up its state for the current view size, moves it on by dt
+// seconds and draws it. Modes are set up again whenever the view resizes.
+const MODES = {
+  waves: {
+    label: 'Waves',
+
+    setup() {
+      const count = Math.max(4, Math.round(view.height / 90));
+
+      return {
+        waves: Array.from({ length: count }, (_, i) => ({
+          baseline: view.height * (i + 1) / (count + 1),
+          amplitude: random(20, 60),
+          length: random(240, 520),
+          speed: random(0.3, 0.8) * (i % 2 ? 1 : -1),
+          phase: random(0, Math.PI * 2),
+          color: PALETTE[i % PALETTE.length]
+        }))
+      };
+    },
+
+    step() {},
+
+    draw({ waves }) {
+      ctx.lineWidth = 2;
+
+      waves.forEach((wave, i) => {
+        ctx.beginPath();
+
+        for (let x = 0; x <= view.width + 10; x += 10) {
+          let y = wave.baseline +
+            Math.sin(x / wave.length * Math.PI * 2 + wave.phase + time * wave.speed) * wave.amplitude +
+            Math.sin(x / (wave.length * 0.37) + time * wave.speed * 1.7) * wave.amplitude * 0.25;
+
+          // The pointer draws the wave towards it
+          const pull = pointerPull(x, y, 180);
+          if (pull) y += pull.dy * pull.distance * pull.strength * 0.6;
+
+          if (x === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        }
+
+        ctx.strokeStyle = wave.color;
+        ctx.globalAlpha = 0.35 + 0.5 * (i + 1) / waves.length;
+        ctx.stroke();
+      });
+
+      ctx.globalAlpha = 1;
+    }
+  },
+
+  particles: {
+    label: 'Particles',
+
+    setup() {
+      const count = Math.min(400, Math.round(view.width * view.height / 4000));
+
+      return {
+        particles: Array.from({ length: count }, () => ({
+          x: random(0, view.width),
+          y: random(0, view.height),
+          vx: random(-20, 20),
+          vy: random(-20, 20),
+          radius: random(1, 3),
+          color: pick(PALETTE)
+        }))
+      };
+    },
+
+    step({ particles }, dt) {
+      particles.forEach(particle => {
+        // Drift along a slowly turning flow field
+        const angle = Math.sin(particle.x / 200 + time * 0.2) + Math.cos(particle.y / 200 - time * 0.15);
+        particle.vx += Math.cos(angle * Math.PI) * 30 * dt;
+        particle.vy += Math.sin(angle * Math.PI) * 30 * dt;
+
+        // The pointer pushes particles away, or gathers them while pressed
+        const pull = pointerPull(particle.x, particle.y, 150);
+        if (pull) {
+          const force = (pointer.pressed ? 400 : -600) * pull.strength * dt;
+          particle.vx += pull.dx * force;
+          particle.vy += pull.dy * force;
+        }
+
+        particle.vx *= 1 - 0.8 * dt;
+        particle.vy *= 1 - 0.8 * dt;
+        particle.x += particle.vx * dt;
+        particle.y += particle.vy * dt;
+
+        // Wrap around the edges
+        if (particle.x < 0) particle.x += view.width;
+        if (particle.x > view.width) particle.x -= view.width;
+        if (particle.y < 0) particle.y += view.height;
+        if (particle.y > view.height) particle.y -= view.height;
+      });
+    },
+
+    draw({ particles }) {
+      particles.forEach(particle => {
+        ctx.beginPath();
+        ctx.arc(particle.x, particle.y, particle.radius, 0, Math.PI * 2);
+        ctx.fillStyle = particle.color;
+        ctx.globalAlpha = 0.8;
+        ctx.fill();
+      });
+
+      ctx.globalAlpha = 1;
+    }
+  },
+
+  // After neural_constellation_svg.svg: glowing nodes joined by faint
+  // links, with pulses travelling along them
+  constellation: {
+    label: 'Constellation',
+
+    setup() {
+      const count = Math.min(120, Math.max(20, Math.round(view.width * view.height / 12000)));
+
+      return {
+        nodes: Array.from({ length: count }, () => ({
+          x: random(0, view.width),
+          y: random(0, view.height),
+          vx: random(-12, 12),
+          vy: random(-12, 12),
+          radius: random(2, 6),
+          phase: random(0, Math.PI * 2),
+          color: pick(PALETTE.slice(1))
+        })),
+        pulses: []
+      };
+    },
+
+    step({ nodes, pulses }, dt) {
+      nodes.forEach(node => {
+        // Nodes near the pointer drift towards it
+        const pull = pointerPull(node.x, node.y, 220);
+        if (pull) {
+          node.vx += pull.dx * 40 * pull.strength * dt;
+          node.vy += pull.dy * 40 * pull.strength * dt;
+        }
+
+        node.x += node.vx * dt;
+        node.y += node.vy * dt;
+
+        // Bounce off the edges
+        if (node.x < 0 || node.x > view.width) node.vx *= -1;
+        if (node.y < 0 || node.y > view.height) node.vy *= -1;
+        node.x = Math.min(Math.max(node.x, 0), view.width);
+        node.y = Math.min(Math.max(node.y, 0), view.height);
+      });
+
+      // Now and then a pulse sets off from one node to a neighbour
+      if (pulses.length < 12 && Math.random() < dt * 3) {
+        const from = pick(nodes);
+        const to = nodes.find(node => node !== from && Math.hypot(node.x - from.x, node.y - from.y) < 160);
+        if (to) pulses.push({ from, to, progress: 0, speed: random(0.4, 0.9) });
+      }
+
+      pulses.forEach(pulse => { pulse.progress += pulse.speed * dt; });
+      for (let i = pulses.length - 1; i >= 0; i--) {
+        if (pulses[i].progress >= 1) pulses.splice(i, 1);
+      }
+    },
+
+    draw({ nodes, pulses }) {
+      const linkDistance = 160;
+
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = '#6366f1';
+
+      for (let i = 0; i < nodes.length; i++) {
+        for (let j = i + 1; j < nodes.length; j++) {
+          const distance = Math.hypot(nodes[i].x - nodes[j].x, nodes[i].y - nodes[j].y);
+          if (distance > linkDistance) continue;
+
+          ctx.globalAlpha = 0.6 * (1 - distance / linkDistance);
+          ctx.beginPath();
+          ctx.moveTo(nodes[i].x, nodes[i].y);
+          ctx.lineTo(nodes[j].x, nodes[j].y);
+          ctx.stroke();
+        }
+
+        // Link nearby nodes to the pointer too
+        const pull = pointerPull(nodes[i].x, nodes[i].y, linkDistance * 1.5);
+        if (pull) {
+          ctx.globalAlpha = 0.8 * pull.strength;
+          ctx.beginPath();
+          ctx.moveTo(nodes[i].x, nodes[i].y);
+          ctx.lineTo(pointer.x, pointer.y);
+          ctx.stroke();
+        }
+      }
+
+      ctx.shadowBlur = 12;
+
+      nodes.forEach(node => {
+        ctx.globalAlpha = 0.75 + 0.25 * Math.sin(time * 1.5 + node.phase);
+        ctx.shadowColor = node.color;
+        ctx.fillStyle = node.color;
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, node.radius, 0, Math.PI * 2);
+        ctx.fill();
+      });
+
+      pulses.forEach(pulse => {
+        ctx.globalAlpha = Math.sin(pulse.progress * Math.PI);
+        ctx.shadowColor = '#c4b5fd';
+        ctx.fillStyle = '#c4b5fd';
+        ctx.beginPath();
+        ctx.arc(
+          pulse.from.x + (pulse.to.x - pulse.from.x) * pulse.progress,
+          pulse.from.y + (pulse.to.y - pulse.from.y) * pulse.progress,
+          3, 0, Math.PI * 2
+        );
+        ctx.fill();
+      });
+
+      ctx.shadowBlur = 0;
+      ctx.globalAlpha = 1;
     }
   }
+};
 
-  requestAnimationFrame(draw);
+// ============== DRAWING ==============
+
+function drawBackground() {
+  const gradient = ctx.createRadialGradient(
+    view.width / 2, view.height / 2, 0,
+    view.width / 2, view.height / 2, Math.hypot(view.width, view.height) * 0.7
+  );
+  gradient.addColorStop(0, BACKGROUND[0]);
+  gradient.addColorStop(1, BACKGROUND[1]);
+
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, view.width, view.height);
+}
+
+function render() {
+  drawBackground();
+  MODES[mode].draw(state);
+}
+
+function isAnimating() {
+  return !paused && !document.hidden && !reducedMotion.matches;
+}
+
+function frame(now) {
+  frameId = null;
+
+  const dt = lastFrame === null ? 0 : Math.min((now - lastFrame) / 1000, MAX_STEP);
+  lastFrame = now;
+  time += dt;
+
+  MODES[mode].step(state, dt);
+  render();
+
+  if (isAnimating()) frameId = requestAnimationFrame(frame);
+}
+
+// Start or stop the animation loop to match the current settings. When it
+// isn't running, a single still frame is drawn instead.
+function updateLoop() {
+  if (isAnimating()) {
+    if (frameId === null) {
+      lastFrame = null;
+      frameId = requestAnimationFrame(frame);
+    }
+    return;
+  }
+
+  if (frameId !== null) {
+    cancelAnimationFrame(frameId);
+    frameId = null;
+  }
+  if (!document.hidden) render();
+}
+
+// ============== VIEW ==============
+
+// Size the canvas backing store to the window in device pixels, and draw in
+// CSS pixels
+function resize() {
+  view.width = window.innerWidth;
+  view.height = window.innerHeight;
+  view.dpr = window.devicePixelRatio || 1;
+
+  canvas.width = Math.round(view.width * view.dpr);
+  canvas.height = Math.round(view.height * view.dpr);
+  canvas.style.width = `${view.width}px`;
+  canvas.style.height = `${view.height}px`;
+  ctx.setTransform(view.dpr, 0, 0, view.dpr, 0, 0);
+
+  // Moving the window to a screen with another pixel ratio doesn't always
+  // fire resize, so watch for the ratio changing as well
+  if (resolutionQuery) resolutionQuery.removeEventListener('change', resize);
+  resolutionQuery = window.matchMedia(`(resolution: ${view.dpr}dppx)`);
+  resolutionQuery.addEventListener('change', resize);
+
+  state = MODES[mode].setup();
+  updateLoop();
+}
+
+// Mode buttons and a pause button, made from MODES into #controls
+const controls = document.getElementById('controls');
+const modeButtons = {};
+let pauseButton = null;
+
+function addButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  controls.appendChild(button);
+
+  return button;
 }
 
-requestAnimationFrame(draw);
+if (controls) {
+  Object.keys(MODES).forEach(name => {
+    modeButtons[name] = addButton(MODES[name].label, () => setMode(name));
+  });
+  pauseButton = addButton('Pause', () => setPaused(!paused));
+}
+
+function updateControls() {
+  Object.keys(modeButtons).forEach(name => {
+    modeButtons[name].setAttribute('aria-pressed', String(name === mode));
+  });
+
+  if (pauseButton) pauseButton.textContent = paused ? 'Play' : 'Pause';
+}
+
+function setMode(name) {
+  if (!MODES[name] || name === mode) return;
+
+  mode = name;
+  state = MODES[mode].setup();
+  updateControls();
+
+  if (window.location.hash !== `#${mode}`) {
+    history.replaceState(null, '', `#${mode}`);
+  }
+
+  updateLoop();
+}
+
+function setPaused(value) {
+  paused = value;
+  updateControls();
+  updateLoop();
+}
+
+// ============== INPUT ==============
+
+function movePointer(event) {
+  const rect = canvas.getBoundingClientRect();
+  pointer.x = event.clientX - rect.left;
+  pointer.y = event.clientY - rect.top;
+  pointer.active = true;
+
+  // Still frames follow the pointer too
+  if (!isAnimating()) render();
+}
+
+function releasePointer(event) {
+  pointer.pressed = false;
+
+  // A touch or pen that lifts off is gone; a mouse is still hovering
+  if (event.pointerType !== 'mouse') pointer.active = false;
+  if (!isAnimating()) render();
+}
+
+canvas.addEventListener('pointermove', movePointer);
+canvas.addEventListener('pointerdown', event => {
+  pointer.pressed = true;
+  movePointer(event);
+});
+canvas.addEventListener('pointerleave', event => {
+  pointer.active = false;
+  releasePointer(event);
+});
+window.addEventListener('pointerup', releasePointer);
+window.addEventListener('pointercancel', releasePointer);
+
+window.addEventListener('keydown', event => {
+  if (event.target.closest && event.target.closest('button, input, select, textarea')) return;
+
+  const names = Object.keys(MODES);
+  const index = Number(event.key) - 1;
+
+  if (index >= 0 && index < names.length) {
+    setMode(names[index]);
+  } else if (event.key === ' ') {
+    event.preventDefault();
+    setPaused(!paused);
+  }
+});
+
+window.addEventListener('hashchange', () => setMode(window.location.hash.slice(1)));
+window.addEventListener('resize', resize);
+document.addEventListener('visibilitychange', updateLoop);
+reducedMotion.addEventListener('change', updateLoop);
+
+// ============== START ==============
 
+// The mode from the URL hash, or waves; resize sets it up and starts the loop
+const initialMode = window.location.hash.slice(1);
+mode = MODES[initialMode] ? initialMode : 'waves';
+updateControls();
+resize();
@@ -0,0 +1,438 @@
+// Plant Genetics System: population analytics
+// Diversity statistics for a collection of plants (a garden, a generation or
+// a seed bank): allele frequencies, heterozygosity, Hardy-Weinberg tests,
+// effective population size and phenotype shares, plus how they change over
+// a breeder's crossing history. Warnings flag populations sliding into
+// inbreeding.
+
+import { GENE_TRAITS } from "./traits.js";
+import { getQuantitativeAlleles, getTraitLoci, validateGeneSequence } from "./genes.js";
+import { getPhenotypeLabel } from "./breeding.js";
+
+// ============== THRESHOLDS ==============
+
+// Mean inbreeding coefficient that counts as inbred: the level of offspring
+// of full siblings
+export const INBREEDING_WARNING = 0.25;
+
+// Effective population size below which drift quickly fixes alleles
+export const EFFECTIVE_SIZE_WARNING = 10;
+
+// Significance level of the Hardy-Weinberg test, and the fixation index
+// (heterozygote deficit) a significant result has to reach to be reported
+const HARDY_WEINBERG_SIGNIFICANCE = 0.05;
+const HETEROZYGOTE_DEFICIT_WARNING = 0.25;
+
+// Share of the first generation's heterozygosity that may be lost over a
+// crossing history before it's reported
+const HETEROZYGOSITY_LOSS_WARNING = 0.5;
+
+// ============== LOCI ==============
+
+// Mean of a list of numbers (0 for an empty list)
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / Math.max(1, values.length);
+}
+
+// Genotypes at every locus of a list of gene objects ({ FC: "RB", ... }):
+// { locusId: { gene, genotypes: [[alleleA, alleleB], ...] } }. Polygenic
+// genes have one locus per allele pair, named "YD.1", "YD.2", ...
+function collectGenotypes(genesList) {
+    const loci = {};
+    
+    Object.keys(GENE_TRAITS).forEach(key => {
+        const trait = GENE_TRAITS[key];
+        const count = trait.type === "quantitative" ? getTraitLoci(trait) : 1;
+        
+        for (let locus = 0; locus < count; locus++) {
+            loci[count > 1 ? `${key}.${locus + 1}` : key] = { gene: key, genotypes: [] };
+        }
+        
+        genesList.forEach(genes => {
+            if (genes[key] === undefined) return;
+            
+            const alleles = trait.type === "quantitative" ?
+                getQuantitativeAlleles(trait, genes[key]).map(String) :
+                String(genes[key]).split("");
+            
+            for (let locus = 0; locus < count; locus++) {
+                const id = count > 1 ? `${key}.${locus + 1}` : key;
+                loci[id].genotypes.push([alleles[locus * 2], alleles[locus * 2 + 1]]);
+            }
+        });
+    });
+    
+    return loci;
+}
+
+// Statistics for one locus from its genotypes
+function analyzeLocus(gene, genotypes) {
+    const counts = {};
+    genotypes.forEach(pair => pair.forEach(allele => {
+        counts[allele] = (counts[allele] || 0) + 1;
+    }));
+    
+    const alleleFrequencies = {};
+    Object.keys(counts).forEach(allele => {
+        alleleFrequencies[allele] = counts[allele] / (genotypes.length * 2);
+    });
+    
+    const size = genotypes.length;
+    const homozygosity = Object.values(alleleFrequencies).reduce((sum, p) => sum + p * p, 0);
+    const observed = size > 0 ? genotypes.filter(([a, b]) => a !== b).length / size : 0;
+    
+    // Nei's unbiased estimate, so small samples aren't read as inbred
+    const expected = size > 1 ? (2 * size / (2 * size - 1)) * (1 - homozygosity) : 0;
+    
+    return {
+        gene,
+        alleleFrequencies,
+        alleleCount: Object.keys(counts).length,
+        observedHeterozygosity: observed,
+        expectedHeterozygosity: expected,
+        // Heterozygote deficit: 0 at Hardy-Weinberg, 1 with no heterozygotes
+        fixationIndex: expected > 0 ? 1 - observed / expected : null,
+        hardyWeinberg: testHardyWeinberg(genotypes, alleleFrequencies)
+    };
+}
+
+// Chi-square test of genotype counts against the Hardy-Weinberg proportions
+// (p² homozygotes, 2pq heterozygotes). Returns { chiSquare,
+// degreesOfFreedom, pValue }, or null for a locus with a single allele.
+// Like any chi-square test it's rough when expected counts are small.
+function testHardyWeinberg(genotypes, alleleFrequencies) {
+    const alleles = Object.keys(alleleFrequencies).sort();
+    if (alleles.length < 2) return null;
+    
+    const observed = {};
+    genotypes.forEach(pair => {
+        const genotype = pair.slice().sort().join("/");
+        observed[genotype] = (observed[genotype] || 0) + 1;
+    });
+    
+    let chiSquare = 0;
+    alleles.forEach((a, i) => {
+        alleles.slice(i).forEach(b => {
+            const share = a === b ?
+                alleleFrequencies[a] * alleleFrequencies[a] :
+                2 * alleleFrequencies[a] * alleleFrequencies[b];
+            const expected = share * genotypes.length;
+            const difference = (observed[`${a}/${b}`] || 0) - expected;
+            
+            chiSquare += difference * difference / expected;
+        });
+    });
+    
+    const degreesOfFreedom = alleles.length * (alleles.length - 1) / 2;
+    
+    return { chiSquare, degreesOfFreedom, pValue: getChiSquarePValue(chiSquare, degreesOfFreedom) };
+}
+
+// ============== CHI-SQUARE DISTRIBUTION ==============
+
+// Lanczos approximation of ln Γ(x)
+const LANCZOS_COEFFICIENTS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+    if (x < 0.5) {
+        return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    
+    x -= 1;
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+        sum += LANCZOS_COEFFICIENTS[i] / (x + i);
+    }
+    
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Chance of a chi-square statistic at least this large by chance: the
+// regularized upper incomplete gamma function Q(df / 2, chiSquare / 2),
+// from its series below a + 1 and its continued fraction above
+function getChiSquarePValue(chiSquare, degreesOfFreedom) {
+    const a = degreesOfFreedom / 2;
+    const x = chiSquare / 2;
+    
+    if (x <= 0) return 1;
+    
+    const scale = Math.exp(-x + a * Math.log(x) - logGamma(a));
+    
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-12; n++) {
+            term *= x / (a + n);
+            sum += term;
+        }
+        
+        return Math.max(0, 1 - sum * scale);
+    }
+    
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let fraction = d;
+    
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        
+        const delta = d * c;
+        fraction *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    
+    return Math.min(1, scale * fraction);
+}
+
+// ============== POPULATION STATISTICS ==============
+
+// Allele frequencies at every locus: { locusId: { allele: share } }
+export function getAlleleFrequencies(plants) {
+    const loci = collectGenotypes(plants.map(plant => plant.genes));
+    const frequencies = {};
+    
+    Object.keys(loci).forEach(id => {
+        frequencies[id] = analyzeLocus(loci[id].gene, loci[id].genotypes).alleleFrequencies;
+    });
+    
+    return frequencies;
+}
+
+// Share of plants showing each phenotype of every gene: names for
+// qualitative genes, values for quantitative ones ({ FC: { Purple: 0.25 } })
+export function getPhenotypeDistribution(plants) {
+    const distribution = {};
+    
+    Object.keys(GENE_TRAITS).forEach(key => {
+        distribution[key] = {};
+        
+        plants.forEach(plant => {
+            const label = getPhenotypeLabel(key, plant.phenotype[key]) ?? "Unknown";
+            distribution[key][label] = (distribution[key][label] || 0) + 1 / plants.length;
+        });
+    });
+    
+    return distribution;
+}
+
+// Effective population size: how many ideal, randomly mating plants would
+// drift as fast as these. Two estimates, each null when the plants don't
+// carry enough information:
+//   fromFamilySize: from how unevenly the parents of the plants contributed
+//     to them (Crow & Denniston), counting only parents that had offspring
+//   fromInbreeding: from the rise in mean inbreeding per generation,
+//     Ne = 1 / (2 ΔF); null unless inbreeding rose across generations
+// Returns { census, fromFamilySize, fromInbreeding }.
+export function getEffectivePopulationSize(plants) {
+    // Gametes each parent gave the plants (a selfed plant gives two)
+    const contributions = {};
+    plants.forEach(plant => {
+        (plant.parents || []).forEach(parentId => {
+            contributions[parentId] = (contributions[parentId] || 0) + 1;
+        });
+    });
+    
+    const counts = Object.values(contributions);
+    let fromFamilySize = null;
+    
+    if (counts.length > 1) {
+        const mean = counts.reduce((sum, count) => sum + count, 0) / counts.length;
+        const variance = counts.reduce((sum, count) => sum + (count - mean) ** 2, 0) / counts.length;
+        const denominator = mean - 1 + variance / mean;
+        
+        if (denominator > 0) {
+            fromFamilySize = (counts.length * mean - 1) / denominator;
+        }
+    }
+    
+    // Mean inbreeding of the oldest and newest generation among the plants
+    const generations = {};
+    plants.forEach(plant => {
+        const generation = plant.generation || 0;
+        generations[generation] = generations[generation] || [];
+        generations[generation].push(plant.inbreedingCoefficient || 0);
+    });
+    
+    const numbers = Object.keys(generations).map(Number).sort((a, b) => a - b);
+    const meanInbreeding = generation => average(generations[generation]);
+    let fromInbreeding = null;
+    
+    if (numbers.length > 1) {
+        const first = numbers[0];
+        const last = numbers[numbers.length - 1];
+        const retained = (1 - meanInbreeding(last)) / (1 - meanInbreeding(first));
+        const rate = 1 - Math.pow(retained, 1 / (last - first));
+        
+        if (rate > 0) fromInbreeding = 1 / (2 * rate);
+    }
+    
+    return { census: plants.length, fromFamilySize, fromInbreeding };
+}
+
+// Warnings for a population summary: [{ code, locus?, message }]
+function getDiversityWarnings(summary) {
+    const warnings = [];
+    
+    if (summary.meanInbreeding >= INBREEDING_WARNING) {
+        warnings.push({
+            code: "inbred",
+            message: `Mean inbreeding is ${summary.meanInbreeding.toFixed(2)}, ` +
+                `at least that of full-sibling crosses (${INBREEDING_WARNING})`
+        });
+    }
+    
+    const sizes = [summary.effectivePopulationSize.fromFamilySize, summary.effectivePopulationSize.fromInbreeding]
+        .filter(size => size !== null);
+    if (sizes.length > 0 && Math.min(...sizes) < EFFECTIVE_SIZE_WARNING) {
+        warnings.push({
+            code: "small_effective_size",
+            message: `Effective population size is only ${Math.min(...sizes).toFixed(1)}; ` +
+                `alleles will be lost to drift`
+        });
+    }
+    
+    if (summary.size > 1) {
+        Object.keys(summary.loci).forEach(locus => {
+            const stats = summary.loci[locus];
+            
+            if (stats.alleleCount === 1) {
+                warnings.push({
+                    code: "fixed",
+                    locus,
+                    message: `${locus} is fixed: every plant carries only ${Object.keys(stats.alleleFrequencies)[0]}`
+                });
+            } else if (stats.hardyWeinberg && stats.hardyWeinberg.pValue < HARDY_WEINBERG_SIGNIFICANCE &&
+                stats.fixationIndex >= HETEROZYGOTE_DEFICIT_WARNING) {
+                warnings.push({
+                    code: "heterozygote_deficit",
+                    locus,
+                    message: `${locus} has ${Math.round(stats.fixationIndex * 100)}% fewer heterozygotes ` +
+                        `than random mating would give`
+                });
+            }
+        });
+    }
+    
+    return warnings;
+}
+
+// Summarise the genetics of a collection of plants:
+// {
+//   size, meanInbreeding,
+//   loci: { locusId: { gene, alleleFrequencies, alleleCount,
+//     observedHeterozygosity, expectedHeterozygosity, fixationIndex,
+//     hardyWeinberg: { chiSquare, degreesOfFreedom, pValue } | null } },
+//   heterozygosity: { observed, expected } averaged over loci,
+//   effectivePopulationSize (see getEffectivePopulationSize),
+//   phenotypes (see getPhenotypeDistribution),
+//   warnings: [{ code, locus?, message }] for inbreeding, small effective
+//     size, fixed loci and significant heterozygote deficits
+// }
+export function analyzePopulation(plants) {
+    const genotypes = collectGenotypes(plants.map(plant => plant.genes));
+    const loci = {};
+    
+    Object.keys(genotypes).forEach(id => {
+        loci[id] = analyzeLocus(genotypes[id].gene, genotypes[id].genotypes);
+    });
+    
+    const stats = Object.values(loci);
+    
+    const summary = {
+        size: plants.length,
+        meanInbreeding: average(plants.map(plant => plant.inbreedingCoefficient || 0)),
+        loci,
+        heterozygosity: {
+            observed: average(stats.map(locus => locus.observedHeterozygosity)),
+            expected: average(stats.map(locus => locus.expectedHeterozygosity))
+        },
+        effectivePopulationSize: getEffectivePopulationSize(plants),
+        phenotypes: getPhenotypeDistribution(plants)
+    };
+    
+    summary.warnings = getDiversityWarnings(summary);
+    
+    return summary;
+}
+
+// ============== TRENDS ==============
+
+// How the offspring of a breeder's crosses changed, generation by
+// generation (taken from the breeder's pedigree):
+// {
+//   generations: [{ generation, crosses, parents, mutations, meanInbreeding,
+//     observedHeterozygosity, expectedHeterozygosity, alleleCount,
+//     fixedLoci }],
+//   warnings: [{ code, message }] when heterozygosity has halved since the
+//     first generation or the latest one is inbred
+// }
+// alleleCount is the number of alleles summed over all loci.
+export function getCrossingTrends(breeder) {
+    const groups = {};
+    
+    breeder.getCrossingHistory().forEach(entry => {
+        const generation = breeder.getPedigreeEntry(entry.offspringId)?.generation ?? 0;
+        
+        groups[generation] = groups[generation] || [];
+        groups[generation].push(entry);
+    });
+    
+    const generations = Object.keys(groups).map(Number).sort((a, b) => a - b).map(generation => {
+        const entries = groups[generation];
+        const genotypes = collectGenotypes(entries.map(entry => validateGeneSequence(entry.offspring).genes));
+        const loci = Object.keys(genotypes).map(id => analyzeLocus(genotypes[id].gene, genotypes[id].genotypes));
+        const parents = new Set();
+        entries.forEach(entry => {
+            parents.add(entry.parentAId);
+            parents.add(entry.parentBId);
+        });
+        
+        return {
+            generation,
+            crosses: entries.length,
+            parents: parents.size,
+            mutations: entries.reduce((sum, entry) => sum + (entry.mutations || []).length, 0),
+            meanInbreeding: average(entries.map(entry => entry.inbreedingCoefficient || 0)),
+            observedHeterozygosity: average(loci.map(locus => locus.observedHeterozygosity)),
+            expectedHeterozygosity: average(loci.map(locus => locus.expectedHeterozygosity)),
+            alleleCount: loci.reduce((sum, locus) => sum + locus.alleleCount, 0),
+            fixedLoci: loci.filter(locus => locus.alleleCount === 1).length
+        };
+    });
+    
+    const warnings = [];
+    const first = generations[0];
+    const latest = generations[generations.length - 1];
+    
+    if (latest && latest !== first && first.expectedHeterozygosity > 0 &&
+        latest.expectedHeterozygosity <= first.expectedHeterozygosity * (1 - HETEROZYGOSITY_LOSS_WARNING)) {
+        warnings.push({
+            code: "losing_diversity",
+            message: `Expected heterozygosity fell from ${first.expectedHeterozygosity.toFixed(2)} ` +
+                `to ${latest.expectedHeterozygosity.toFixed(2)} between generations ` +
+                `${first.generation} and ${latest.generation}`
+        });
+    }
+    
+    if (latest && latest.meanInbreeding >= INBREEDING_WARNING) {
+        warnings.push({
+            code: "inbred",
+            message: `Generation ${latest.generation} has mean inbreeding ${latest.meanInbreeding.toFixed(2)}`
+        });
+    }
+    
+    return { generations, warnings };
+}
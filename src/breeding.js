@@ -0,0 +1,910 @@
+// Plant Genetics System: breeding
+// Crossing plants, mutation, linkage-aware inheritance and offspring
+// prediction (PlantBreeder), plus the mutagens that raise mutation rates.
+
+import { CHROMOSOMES, GENE_TRAITS, getGeneLocation, getRecombinationFrequency } from "./traits.js";
+import {
+    clampQuantitativeAllele,
+    formatQuantitativeAlleles,
+    getAlleleScale,
+    getDefaultGeneValue,
+    getQuantitativeAlleles,
+    getTraitLoci
+} from "./genes.js";
+import { applyEpistasis, calculateGenePhenotype, matchesTraitCondition } from "./phenotype.js";
+import { Plant } from "./plant.js";
+import {
+    checkSaveVersion,
+    createBreederFromState,
+    getBreederState,
+    getTraitSchema,
+    SAVE_FORMAT_VERSION
+} from "./save.js";
+import { geneticsEvents } from "./events.js";
+
+// ============== BREEDING MECHANICS ==============
+
+// Genotype of a gene built from the strand (0 = first allele of each locus,
+// 1 = second) each parent passes on. All loci of a polygenic gene on a
+// chromosome travel together.
+function inheritFromStrands(trait, geneA, geneB, strandA, strandB) {
+    if (trait.type === "qualitative") {
+        return geneA[strandA] + geneB[strandB];
+    }
+    
+    const allelesA = getQuantitativeAlleles(trait, geneA);
+    const allelesB = getQuantitativeAlleles(trait, geneB);
+    const alleles = [];
+    
+    for (let locus = 0; locus < getTraitLoci(trait); locus++) {
+        alleles.push(allelesA[locus * 2 + strandA], allelesB[locus * 2 + strandB]);
+    }
+    
+    return formatQuantitativeAlleles(trait, alleles);
+}
+
+// How a gene's phenotype is told apart from others: its name for
+// qualitative genes, its value for quantitative ones
+export function getPhenotypeLabel(key, phenotype) {
+    return GENE_TRAITS[key]?.type === "qualitative" ? phenotype?.name : phenotype?.value;
+}
+
+// Split genes whose phenotypes can't be predicted separately into groups:
+// genes that mask one another (epistasis) or sit on the same chromosome end
+// up together, along with any masking genes the targets depend on. Each
+// group is a list of blocks; a block is one chromosome's genes or a single
+// unlinked gene.
+function groupDependentGenes(keys) {
+    const involved = keys.slice();
+    const links = [];
+    
+    // Add masking genes, including genes that mask the maskers
+    for (let i = 0; i < involved.length; i++) {
+        Object.keys(GENE_TRAITS).forEach(key => {
+            if ((GENE_TRAITS[key].epistasis || []).some(rule => rule.masks === involved[i])) {
+                if (!involved.includes(key)) involved.push(key);
+                links.push([key, involved[i]]);
+            }
+        });
+    }
+    
+    // Union-find over blocks, joined by the masking links
+    const blockOf = key => {
+        const location = getGeneLocation(key);
+        return location ? `chromosome:${location.chromosome}` : key;
+    };
+    const parent = {};
+    const find = block => parent[block] === undefined || parent[block] === block ? block : find(parent[block]);
+    
+    links.forEach(([keyA, keyB]) => {
+        const rootA = find(blockOf(keyA));
+        const rootB = find(blockOf(keyB));
+        if (rootA !== rootB) parent[rootA] = rootB;
+    });
+    
+    const groups = {};
+    involved.forEach(key => {
+        const root = find(blockOf(key));
+        const block = blockOf(key);
+        
+        groups[root] = groups[root] || {};
+        groups[root][block] = groups[root][block] || [];
+        groups[root][block].push(key);
+    });
+    
+    return Object.values(groups).map(blocks => Object.values(blocks));
+}
+
+// Chance that each gene of an offspring mutates, for traits without a
+// mutation.rate of their own
+const DEFAULT_MUTATION_RATE = 0.05;
+
+// Weight of each novel allele as a mutation target, against 1 for ordinary
+// alleles (traits can override it with mutation.novelWeight)
+const NOVEL_ALLELE_WEIGHT = 0.02;
+
+// Mutagens that can be applied to a cross (items like fertilizer or a
+// radiation lamp). rateMultiplier scales every gene's mutation rate, traits
+// scales single genes ({ FC: 2 }), novelMultiplier scales the weight of
+// novel alleles.
+export const MUTAGENS = {};
+
+// Add a mutagen. Pass { replace: true } to redefine one.
+export function registerMutagen(id, definition, options = {}) {
+    const problems = [];
+    const isMultiplier = value => value === undefined ||
+        (typeof value === 'number' && isFinite(value) && value >= 0);
+    
+    if (typeof id !== 'string' || id === "") {
+        problems.push("id must be a non-empty string");
+    }
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`Invalid mutagen ${id}: definition must be an object`);
+    }
+    if (typeof definition.name !== 'string' || definition.name === "") {
+        problems.push("name must be a non-empty string");
+    }
+    if (!isMultiplier(definition.rateMultiplier)) {
+        problems.push("rateMultiplier must be a non-negative number");
+    }
+    if (!isMultiplier(definition.novelMultiplier)) {
+        problems.push("novelMultiplier must be a non-negative number");
+    }
+    Object.keys(definition.traits || {}).forEach(key => {
+        if (!isMultiplier(definition.traits[key])) {
+            problems.push(`traits.${key} must be a non-negative number`);
+        }
+    });
+    if (MUTAGENS[id] && MUTAGENS[id] !== definition && !options.replace) {
+        problems.push(`mutagen ${id} is already registered`);
+    }
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid mutagen ${id}: ${problems.join("; ")}`);
+    }
+    
+    MUTAGENS[id] = { ...definition, id };
+    
+    return MUTAGENS[id];
+}
+
+// Turn a list of mutagen IDs and/or definitions into definitions
+function resolveMutagens(mutagens) {
+    return (mutagens || []).map(mutagen => {
+        if (typeof mutagen !== 'string') return mutagen;
+        
+        if (!MUTAGENS[mutagen]) {
+            throw new Error(`Unknown mutagen "${mutagen}"`);
+        }
+        
+        return MUTAGENS[mutagen];
+    });
+}
+
+// Built-in mutagens
+registerMutagen("fertilizer", { name: "Fertilizer", rateMultiplier: 1.5 });
+registerMutagen("radiation", { name: "Radiation", rateMultiplier: 4, novelMultiplier: 10 });
+
+// Breeding class to handle crossing plants
+export class PlantBreeder {
+    // options.random: random source for allele picks, variation and mutations.
+    // Offspring share it, so one seed reproduces a whole breeding session.
+    // options.mutationRate: chance per gene of a mutation, overriding the
+    // traits' own mutation.rate (unset, each trait uses its own rate or 5%)
+    // options.mutationRates: per-gene rates overriding both, e.g. { FC: 0.1 }
+    // options.events: EventBus crosses and mutations are reported to, also
+    // handed to the offspring (the shared geneticsEvents by default)
+    constructor(options = {}) {
+        this.random = options.random || Math.random;
+        this.events = options.events || geneticsEvents;
+        this.mutationRate = options.mutationRate ?? null;
+        this.mutationRates = { ...options.mutationRates };
+        this.crossingHistory = [];
+        
+        // Every plant this breeder has seen, by ID, in registration order:
+        // { id, parents, generation, geneSequence, order }
+        this.pedigree = {};
+        this.nextOrder = 0; // order of the next plant registered
+        this.kinshipCache = {};
+    }
+    
+    // Cross two plants to create offspring
+    // options.mutagens: mutagen IDs or definitions applied to this cross
+    crossPlants(plantA, plantB, options = {}) {
+        // Ensure valid plants
+        if (!plantA || !plantB) {
+            return null;
+        }
+        
+        const mutagens = resolveMutagens(options.mutagens);
+        
+        // Get gene sequences
+        const genesA = plantA.genes;
+        const genesB = plantB.genes;
+        
+        // Create new gene sequence by combining alleles
+        const offspringGenes = {};
+        const mutations = [];
+        
+        // Each parent passes on one gamete per chromosome: which strand every
+        // linked gene comes from, and where the crossovers happened
+        const strands = { A: {}, B: {} };
+        const crossovers = [];
+        
+        Object.values(CHROMOSOMES).forEach(chromosome => {
+            [["A", plantA], ["B", plantB]].forEach(([side, plant]) => {
+                const gamete = this.rollGamete(chromosome);
+                
+                Object.assign(strands[side], gamete.strands);
+                gamete.crossovers.forEach(position => {
+                    crossovers.push({ parentId: plant.id, chromosome: chromosome.id, position });
+                });
+            });
+        });
+        
+        Object.keys(GENE_TRAITS).forEach(key => {
+            // Skip if gene doesn't exist in either parent
+            if (!genesA[key] || !genesB[key]) {
+                offspringGenes[key] = getDefaultGeneValue(GENE_TRAITS[key]);
+                return;
+            }
+            
+            let newGene;
+            
+            // Handle different gene types
+            if (strands.A[key] !== undefined) {
+                // Linked genes follow the strands of their chromosome
+                newGene = inheritFromStrands(GENE_TRAITS[key], genesA[key], genesB[key], strands.A[key], strands.B[key]);
+            } else if (GENE_TRAITS[key].type === "qualitative") {
+                // For diploid genes, take one allele from each parent
+                // First parent contributes first allele
+                const alleleA = typeof genesA[key] === 'string' && genesA[key].length >= 1 ? 
+                    genesA[key][Math.floor(this.random() * genesA[key].length)] : 
+                    Object.keys(GENE_TRAITS[key].alleles)[0];
+                
+                // Second parent contributes second allele
+                const alleleB = typeof genesB[key] === 'string' && genesB[key].length >= 1 ? 
+                    genesB[key][Math.floor(this.random() * genesB[key].length)] : 
+                    Object.keys(GENE_TRAITS[key].alleles)[0];
+                
+                newGene = alleleA + alleleB;
+            } else if (GENE_TRAITS[key].type === "quantitative") {
+                // For quantitative traits, each parent passes on one of its two
+                // alleles at every locus (independent segregation per locus)
+                const trait = GENE_TRAITS[key];
+                const allelesA = getQuantitativeAlleles(trait, genesA[key]);
+                const allelesB = getQuantitativeAlleles(trait, genesB[key]);
+                const offspringAlleles = [];
+                
+                for (let locus = 0; locus < getTraitLoci(trait); locus++) {
+                    offspringAlleles.push(
+                        allelesA[locus * 2 + Math.floor(this.random() * 2)],
+                        allelesB[locus * 2 + Math.floor(this.random() * 2)]
+                    );
+                }
+                
+                newGene = formatQuantitativeAlleles(trait, offspringAlleles);
+            }
+            
+            // Apply random mutation (5% chance per gene by default)
+            if (this.random() < this.getMutationRate(key, mutagens)) {
+                const mutation = this.rollMutation(newGene, key, mutagens);
+                
+                if (mutation.gene !== newGene) {
+                    mutations.push({
+                        gene: key,
+                        allele: mutation.allele,
+                        from: mutation.from,
+                        to: mutation.to,
+                        before: newGene,
+                        after: mutation.gene
+                    });
+                    newGene = mutation.gene;
+                }
+            }
+            
+            offspringGenes[key] = newGene;
+        });
+        
+        // Convert genes object to sequence string
+        const geneSequence = Object.keys(offspringGenes)
+            .map(key => `${key}:${offspringGenes[key]}`)
+            .join('-');
+        
+        // Place the parents in the pedigree so the offspring's inbreeding
+        // can be worked out from their shared ancestry
+        this.registerPlant(plantA);
+        this.registerPlant(plantB);
+        
+        // Create new plant with the gene sequence
+        const offspring = new Plant(geneSequence, {
+            random: this.random,
+            events: this.events,
+            parents: [plantA.id, plantB.id],
+            generation: Math.max(plantA.generation || 0, plantB.generation || 0) + 1,
+            inbreedingCoefficient: this.getKinship(plantA.id, plantB.id)
+        });
+        
+        this.registerPlant(offspring);
+        
+        // Record the crossing in history
+        this.crossingHistory.push({
+            parentA: plantA.toGeneSequence(),
+            parentB: plantB.toGeneSequence(),
+            offspring: offspring.toGeneSequence(),
+            parentAId: plantA.id,
+            parentBId: plantB.id,
+            offspringId: offspring.id,
+            inbreedingCoefficient: offspring.inbreedingCoefficient,
+            mutagens: mutagens.map(mutagen => mutagen.id || mutagen.name),
+            mutations,
+            crossovers,
+            date: new Date()
+        });
+        
+        mutations.forEach(mutation => this.events.emit("mutated", { plant: offspring, ...mutation }));
+        this.events.emit("crossed", {
+            offspring,
+            parents: [plantA, plantB],
+            mutagens: mutagens.map(mutagen => mutagen.id || mutagen.name),
+            mutations
+        });
+        
+        return offspring;
+    }
+    
+    // Simulate one gamete of a chromosome: a random starting strand that
+    // switches at every crossover. Crossovers fall at exponentially
+    // distributed gaps (mean 100 cM), so the odds of an odd number between
+    // two genes follow getRecombinationFrequency. Returns
+    // { strands: { geneKey: 0 | 1 }, crossovers: [position in cM] }.
+    rollGamete(chromosome) {
+        const strands = {};
+        const crossovers = [];
+        const gap = () => -Math.log(1 - this.random()) * 100;
+        
+        let strand = this.random() < 0.5 ? 0 : 1;
+        let nextCrossover = chromosome.genes[0].position + gap();
+        
+        chromosome.genes.forEach(gene => {
+            while (nextCrossover <= gene.position) {
+                strand = 1 - strand;
+                crossovers.push(Math.round(nextCrossover * 10) / 10);
+                nextCrossover += gap();
+            }
+            
+            strands[gene.key] = strand;
+        });
+        
+        return { strands, crossovers };
+    }
+    
+    // Chance that a gene mutates in a cross with the given mutagens
+    getMutationRate(geneKey, mutagens = []) {
+        const trait = GENE_TRAITS[geneKey];
+        let rate = this.mutationRates[geneKey] ?? this.mutationRate ??
+            trait?.mutation?.rate ?? DEFAULT_MUTATION_RATE;
+        
+        resolveMutagens(mutagens).forEach(mutagen => {
+            rate *= (mutagen.rateMultiplier ?? 1) * (mutagen.traits?.[geneKey] ?? 1);
+        });
+        
+        return Math.min(1, rate);
+    }
+    
+    // Relative chance of each allele replacing `from` in a mutation:
+    // { allele: weight }. Uses the trait's transition matrix where it has
+    // one; otherwise every other allele is equally likely and novel
+    // alleles are rare.
+    getAlleleTransitionWeights(trait, from, mutagens = []) {
+        const novelMultiplier = resolveMutagens(mutagens)
+            .reduce((product, mutagen) => product * (mutagen.novelMultiplier ?? 1), 1);
+        const novelWeight = trait.mutation?.novelWeight ?? NOVEL_ALLELE_WEIGHT;
+        const transitions = trait.mutation?.transitions?.[from];
+        const weights = {};
+        
+        Object.keys(trait.alleles).forEach(allele => {
+            if (allele === from) return;
+            
+            const isNovel = !!trait.alleles[allele].novel;
+            let weight = transitions ? transitions[allele] || 0 : (isNovel ? novelWeight : 1);
+            
+            if (isNovel) weight *= novelMultiplier;
+            if (weight > 0) weights[allele] = weight;
+        });
+        
+        return weights;
+    }
+    
+    // Pick one mutation of a gene: { gene, allele, from, to } where allele
+    // is the index of the allele that changed
+    rollMutation(gene, geneKey, mutagens = []) {
+        const outcomes = this.getMutationOutcomes(gene, geneKey, mutagens);
+        let roll = this.random();
+        
+        for (const outcome of outcomes) {
+            roll -= outcome.probability;
+            if (roll < 0) return outcome;
+        }
+        
+        return outcomes[outcomes.length - 1] || { gene };
+    }
+    
+    // Apply random mutation to a gene
+    mutateMutation(gene, geneKey, mutagens = []) {
+        return this.rollMutation(gene, geneKey, mutagens).gene;
+    }
+    
+    // Every mutation result of a gene with its probability:
+    // [{ gene, probability, allele, from, to }]. One allele, picked
+    // uniformly, changes according to the trait's mutation settings.
+    getMutationOutcomes(gene, geneKey, mutagens = []) {
+        const trait = GENE_TRAITS[geneKey];
+        const outcomes = [];
+        
+        if (!trait) return [{ gene, probability: 1 }];
+        
+        if (trait.type === "qualitative") {
+            for (let alleleIndex = 0; alleleIndex < gene.length; alleleIndex++) {
+                const from = gene[alleleIndex];
+                const weights = this.getAlleleTransitionWeights(trait, from, mutagens);
+                const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+                
+                // An allele with nowhere to go stays as it is
+                if (total === 0) {
+                    outcomes.push({ gene, probability: 1 / gene.length, allele: alleleIndex, from, to: from });
+                    continue;
+                }
+                
+                Object.keys(weights).forEach(to => {
+                    outcomes.push({
+                        gene: gene.slice(0, alleleIndex) + to + gene.slice(alleleIndex + 1),
+                        probability: weights[to] / total / gene.length,
+                        allele: alleleIndex,
+                        from,
+                        to
+                    });
+                });
+            }
+        } else if (trait.type === "quantitative") {
+            const alleles = getQuantitativeAlleles(trait, gene);
+            const steps = trait.mutation?.transitions || { "-1": 1, "1": 1 };
+            const total = Object.values(steps).reduce((sum, weight) => sum + weight, 0);
+            
+            alleles.forEach((allele, alleleIndex) => {
+                Object.keys(steps).forEach(step => {
+                    if (total === 0) return;
+                    
+                    const mutated = alleles.slice();
+                    mutated[alleleIndex] = clampQuantitativeAllele(
+                        trait,
+                        allele + Number(step) / getAlleleScale(trait)
+                    );
+                    
+                    outcomes.push({
+                        gene: formatQuantitativeAlleles(trait, mutated),
+                        probability: steps[step] / total / alleles.length,
+                        allele: alleleIndex,
+                        from: allele,
+                        to: mutated[alleleIndex]
+                    });
+                });
+            });
+            
+            if (outcomes.length === 0) outcomes.push({ gene, probability: 1 });
+        } else {
+            outcomes.push({ gene, probability: 1 });
+        }
+        
+        return outcomes;
+    }
+    
+    // Spread genotype odds over mutations: each genotype either stays as it
+    // is or mutates. { genotype: probability } in and out.
+    applyMutationOdds(odds, geneKey, mutagens = []) {
+        const mutationRate = this.getMutationRate(geneKey, mutagens);
+        const mutatedOdds = {};
+        
+        Object.keys(odds).forEach(genotype => {
+            const probability = odds[genotype];
+            
+            mutatedOdds[genotype] = (mutatedOdds[genotype] || 0) +
+                probability * (1 - mutationRate);
+            
+            this.getMutationOutcomes(genotype, geneKey, mutagens).forEach(outcome => {
+                mutatedOdds[outcome.gene] = (mutatedOdds[outcome.gene] || 0) +
+                    probability * mutationRate * outcome.probability;
+            });
+        });
+        
+        return mutatedOdds;
+    }
+    
+    // Joint phenotype odds of genes on one chromosome, taking their linkage
+    // into account: [{ phenotype: { KEY: phenotype }, probability }]
+    getLinkedPhenotypeOdds(plantA, plantB, keys, mutagens = []) {
+        const sorted = keys.slice().sort((a, b) => getGeneLocation(a).position - getGeneLocation(b).position);
+        
+        // Every gamete a parent can pass on: the strand of each gene, with
+        // a switch between neighbours at their recombination frequency
+        let gametes = [{ strands: [0], probability: 0.5 }, { strands: [1], probability: 0.5 }];
+        
+        for (let i = 1; i < sorted.length; i++) {
+            const recombination = getRecombinationFrequency(sorted[i - 1], sorted[i]);
+            const next = [];
+            
+            gametes.forEach(gamete => {
+                const last = gamete.strands[gamete.strands.length - 1];
+                
+                next.push(
+                    { strands: gamete.strands.concat(last), probability: gamete.probability * (1 - recombination) },
+                    { strands: gamete.strands.concat(1 - last), probability: gamete.probability * recombination }
+                );
+            });
+            
+            gametes = next;
+        }
+        
+        // Each gene's mutated genotype odds given the inherited genotype,
+        // worked out once per genotype
+        const mutationCache = {};
+        const mutatedOdds = (key, genotype) => {
+            const cacheKey = `${key}:${genotype}`;
+            
+            if (!mutationCache[cacheKey]) {
+                mutationCache[cacheKey] = this.applyMutationOdds({ [genotype]: 1 }, key, mutagens);
+            }
+            
+            return mutationCache[cacheKey];
+        };
+        
+        const byLabel = {};
+        
+        gametes.forEach(gameteA => {
+            gametes.forEach(gameteB => {
+                let combinations = [{ phenotype: {}, labels: [], probability: gameteA.probability * gameteB.probability }];
+                
+                sorted.forEach((key, index) => {
+                    const trait = GENE_TRAITS[key];
+                    const inherited = inheritFromStrands(
+                        trait,
+                        plantA.genes[key] || getDefaultGeneValue(trait),
+                        plantB.genes[key] || getDefaultGeneValue(trait),
+                        gameteA.strands[index],
+                        gameteB.strands[index]
+                    );
+                    const odds = mutatedOdds(key, inherited);
+                    const next = [];
+                    
+                    Object.keys(odds).forEach(genotype => {
+                        if (odds[genotype] <= 0) return;
+                        
+                        const phenotype = calculateGenePhenotype(key, genotype);
+                        
+                        combinations.forEach(combination => {
+                            next.push({
+                                phenotype: { ...combination.phenotype, [key]: phenotype },
+                                labels: combination.labels.concat(getPhenotypeLabel(key, phenotype)),
+                                probability: combination.probability * odds[genotype]
+                            });
+                        });
+                    });
+                    
+                    combinations = next;
+                });
+                
+                combinations.forEach(combination => {
+                    const label = combination.labels.join("|");
+                    
+                    if (!byLabel[label]) {
+                        byLabel[label] = { phenotype: combination.phenotype, probability: 0 };
+                    }
+                    
+                    byLabel[label].probability += combination.probability;
+                });
+            });
+        });
+        
+        return Object.values(byLabel);
+    }
+    
+    // Probability of every offspring genotype for one gene, before mutation:
+    // { genotype: probability }
+    getGenotypeOdds(geneA, geneB, geneKey) {
+        const trait = GENE_TRAITS[geneKey];
+        const odds = {};
+        const add = (genotype, probability) => {
+            odds[genotype] = (odds[genotype] || 0) + probability;
+        };
+        
+        if (!geneA || !geneB) {
+            add(getDefaultGeneValue(trait), 1);
+        } else if (trait.type === "qualitative") {
+            // One allele from each parent, first parent's allele first
+            for (const alleleA of geneA) {
+                for (const alleleB of geneB) {
+                    add(alleleA + alleleB, 1 / (geneA.length * geneB.length));
+                }
+            }
+        } else if (getGeneLocation(geneKey)) {
+            // Linked genes pass on a whole strand, all loci together
+            [0, 1].forEach(strandA => {
+                [0, 1].forEach(strandB => {
+                    add(inheritFromStrands(trait, geneA, geneB, strandA, strandB), 1 / 4);
+                });
+            });
+        } else if (trait.type === "quantitative") {
+            // One allele from each parent at every locus
+            const allelesA = getQuantitativeAlleles(trait, geneA);
+            const allelesB = getQuantitativeAlleles(trait, geneB);
+            let combinations = [{ alleles: [], probability: 1 }];
+            
+            for (let locus = 0; locus < getTraitLoci(trait); locus++) {
+                const next = [];
+                
+                combinations.forEach(combination => {
+                    [0, 1].forEach(pickA => {
+                        [0, 1].forEach(pickB => {
+                            next.push({
+                                alleles: combination.alleles.concat(
+                                    allelesA[locus * 2 + pickA],
+                                    allelesB[locus * 2 + pickB]
+                                ),
+                                probability: combination.probability / 4
+                            });
+                        });
+                    });
+                });
+                
+                combinations = next;
+            }
+            
+            combinations.forEach(combination => {
+                add(formatQuantitativeAlleles(trait, combination.alleles), combination.probability);
+            });
+        }
+        
+        return odds;
+    }
+    
+    // Predict what crossing two plants can produce, without breeding them.
+    // Returns { genes, probability } where genes[KEY] lists every possible
+    // offspring genotype and phenotype with its probability (mutations
+    // included), and probability(target) gives the joint odds of a target
+    // like { FC: "Purple", YD: { gte: 4 } } (see matchesTraitCondition).
+    // Per-gene phenotypes are before epistasis; probability() accounts for
+    // it, and for linkage between genes on the same chromosome.
+    // options.mutagens: as for crossPlants
+    predictOffspring(plantA, plantB, options = {}) {
+        if (!plantA || !plantB) {
+            return null;
+        }
+        
+        const mutagens = resolveMutagens(options.mutagens);
+        const genes = {};
+        
+        Object.keys(GENE_TRAITS).forEach(key => {
+            const odds = this.getGenotypeOdds(plantA.genes[key], plantB.genes[key], key);
+            const mutatedOdds = this.applyMutationOdds(odds, key, mutagens);
+            
+            const genotypes = Object.keys(mutatedOdds)
+                .map(genotype => ({ genotype, probability: mutatedOdds[genotype] }))
+                .filter(entry => entry.probability > 0)
+                .sort((a, b) => b.probability - a.probability);
+            
+            // Group genotypes that look the same
+            const phenotypesByLabel = {};
+            
+            genotypes.forEach(entry => {
+                const phenotype = calculateGenePhenotype(key, entry.genotype);
+                const label = getPhenotypeLabel(key, phenotype);
+                
+                if (!phenotypesByLabel[label]) {
+                    phenotypesByLabel[label] = { label, phenotype, probability: 0, genotypes: [] };
+                }
+                
+                phenotypesByLabel[label].probability += entry.probability;
+                phenotypesByLabel[label].genotypes.push(entry.genotype);
+            });
+            
+            genes[key] = {
+                genotypes,
+                phenotypes: Object.values(phenotypesByLabel)
+                    .sort((a, b) => b.probability - a.probability)
+            };
+        });
+        
+        // Joint phenotype odds of a set of genes that are inherited
+        // together: one linked block, or a single unlinked gene.
+        // [{ phenotype: { KEY: phenotype }, probability }]
+        const blockOdds = keys => keys.length === 1 ?
+            genes[keys[0]].phenotypes.map(entry => ({
+                phenotype: { [keys[0]]: entry.phenotype },
+                probability: entry.probability
+            })) :
+            this.getLinkedPhenotypeOdds(plantA, plantB, keys, mutagens);
+        
+        // Joint odds of a target phenotype combination. Targeted genes are
+        // grouped with the genes that mask them and the genes linked to
+        // either; each group is enumerated jointly and groups multiply.
+        const probability = (target) => {
+            const keys = Object.keys(target);
+            if (keys.some(key => !genes[key])) return 0;
+            
+            return groupDependentGenes(keys).reduce((odds, group) => {
+                let combinations = [{ phenotype: {}, probability: 1 }];
+                
+                group.forEach(block => {
+                    const next = [];
+                    
+                    blockOdds(block).forEach(entry => {
+                        combinations.forEach(combination => {
+                            next.push({
+                                phenotype: { ...combination.phenotype, ...entry.phenotype },
+                                probability: combination.probability * entry.probability
+                            });
+                        });
+                    });
+                    
+                    combinations = next;
+                });
+                
+                return odds * combinations
+                    .filter(combination => {
+                        const phenotype = applyEpistasis({ ...combination.phenotype });
+                        return group.flat()
+                            .filter(key => keys.includes(key))
+                            .every(key => matchesTraitCondition(phenotype[key], target[key]));
+                    })
+                    .reduce((sum, combination) => sum + combination.probability, 0);
+            }, 1);
+        };
+        
+        return { genes, probability };
+    }
+    
+    // Get crossing history
+    getCrossingHistory() {
+        return this.crossingHistory;
+    }
+    
+    // Versioned JSON-ready snapshot of the crossing history and pedigree
+    serialize() {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            traits: getTraitSchema(),
+            breeder: getBreederState(this)
+        };
+    }
+    
+    // Rebuild a breeder from serialize() output
+    static deserialize(data, options = {}) {
+        checkSaveVersion(data, "breeder");
+        
+        return createBreederFromState(data.breeder, data.traits, options);
+    }
+    
+    // Add a plant to the pedigree (no-op if it's already known). Parents the
+    // breeder has never seen are treated as unrelated founders.
+    registerPlant(plant) {
+        if (!plant || this.pedigree[plant.id]) return;
+        
+        this.pedigree[plant.id] = {
+            id: plant.id,
+            parents: plant.parents ? plant.parents.slice() : null,
+            generation: plant.generation || 0,
+            geneSequence: plant.toGeneSequence(),
+            order: this.nextOrder++
+        };
+    }
+    
+    // Get the pedigree record of a plant ID, or null
+    getPedigreeEntry(plantId) {
+        return this.pedigree[plantId] || null;
+    }
+    
+    // Parent records of a plant that are in the pedigree
+    getKnownParents(plantId) {
+        const entry = this.pedigree[plantId];
+        if (!entry || !entry.parents) return [];
+        
+        return entry.parents.filter(parentId => this.pedigree[parentId]);
+    }
+    
+    // Coefficient of kinship (coancestry) between two plants: the chance that
+    // an allele picked from each is identical by descent. Recurses through the
+    // parents of whichever plant was registered later, which can't be an
+    // ancestor of the other.
+    getKinship(plantIdA, plantIdB) {
+        const entryA = this.pedigree[plantIdA];
+        const entryB = this.pedigree[plantIdB];
+        
+        if (!entryA || !entryB) return 0;
+        
+        const cacheKey = plantIdA < plantIdB ? `${plantIdA}|${plantIdB}` : `${plantIdB}|${plantIdA}`;
+        if (this.kinshipCache[cacheKey] !== undefined) {
+            return this.kinshipCache[cacheKey];
+        }
+        
+        let kinship;
+        
+        if (plantIdA === plantIdB) {
+            // Kinship with itself: 1/2 (1 + its own inbreeding)
+            kinship = 0.5 * (1 + this.getInbreedingCoefficient(plantIdA));
+        } else {
+            const younger = entryA.order > entryB.order ? entryA : entryB;
+            const other = younger === entryA ? plantIdB : plantIdA;
+            
+            if (!younger.parents) {
+                kinship = 0;
+            } else {
+                kinship = 0.5 * younger.parents.reduce(
+                    (sum, parentId) => sum + this.getKinship(parentId, other), 0);
+            }
+        }
+        
+        this.kinshipCache[cacheKey] = kinship;
+        
+        return kinship;
+    }
+    
+    // Coefficient of inbreeding of a plant: the kinship of its two parents
+    getInbreedingCoefficient(plantId) {
+        const entry = this.pedigree[plantId];
+        if (!entry || !entry.parents) return 0;
+        
+        return this.getKinship(entry.parents[0], entry.parents[1]);
+    }
+    
+    // All known ancestors of a plant, nearest first: [{ id, depth }]
+    getAncestors(plantId, maxDepth = Infinity) {
+        const ancestors = [];
+        const seen = new Set();
+        let current = [plantId];
+        
+        for (let depth = 1; depth <= maxDepth && current.length > 0; depth++) {
+            const next = [];
+            
+            current.forEach(id => {
+                this.getKnownParents(id).forEach(parentId => {
+                    if (seen.has(parentId)) return;
+                    
+                    seen.add(parentId);
+                    ancestors.push({ id: parentId, depth });
+                    next.push(parentId);
+                });
+            });
+            
+            current = next;
+        }
+        
+        return ancestors;
+    }
+    
+    // All known descendants of a plant, nearest first: [{ id, depth }]
+    getDescendants(plantId, maxDepth = Infinity) {
+        const descendants = [];
+        const seen = new Set();
+        const entries = Object.values(this.pedigree);
+        let current = [plantId];
+        
+        for (let depth = 1; depth <= maxDepth && current.length > 0; depth++) {
+            const next = [];
+            
+            entries.forEach(entry => {
+                if (seen.has(entry.id) || !entry.parents) return;
+                if (!entry.parents.some(parentId => current.includes(parentId))) return;
+                
+                seen.add(entry.id);
+                descendants.push({ id: entry.id, depth });
+                next.push(entry.id);
+            });
+            
+            current = next;
+        }
+        
+        return descendants;
+    }
+    
+    // Generation number of a plant (founders are generation 0)
+    getGeneration(plantId) {
+        return this.pedigree[plantId]?.generation ?? null;
+    }
+    
+    // Nested family tree of a plant for display:
+    // { id, generation, geneSequence, inbreedingCoefficient, parents: [tree, tree] }
+    getFamilyTree(plantId, maxDepth = 3) {
+        const entry = this.pedigree[plantId];
+        if (!entry) return null;
+        
+        return {
+            id: entry.id,
+            generation: entry.generation,
+            geneSequence: entry.geneSequence,
+            inbreedingCoefficient: this.getInbreedingCoefficient(entry.id),
+            parents: maxDepth > 0 && entry.parents ?
+                entry.parents.map(parentId => this.getFamilyTree(parentId, maxDepth - 1)) :
+                null
+        };
+    }
+}
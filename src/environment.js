@@ -0,0 +1,230 @@
+// Plant Genetics System: environment
+// Seasons, weather, soil moisture and pests, turned into the daily
+// conditions Plant.update expects.
+
+// ============== SEASONS AND CLIMATE ==============
+
+// Climate for each season: mean temperature (°C) and daily swing, chance of
+// rain and the most rain one day can bring (in the same units as water
+// levels), chance of a storm on a rainy day, and how fast pests breed.
+export const SEASONS = [
+    { name: "spring", temperature: 14, temperatureSwing: 6, rainChance: 0.45, maxRain: 30, stormChance: 0.1, pestGrowth: 1.1 },
+    { name: "summer", temperature: 25, temperatureSwing: 7, rainChance: 0.25, maxRain: 35, stormChance: 0.25, pestGrowth: 1.4 },
+    { name: "autumn", temperature: 12, temperatureSwing: 6, rainChance: 0.5, maxRain: 30, stormChance: 0.15, pestGrowth: 0.9 },
+    { name: "winter", temperature: 2, temperatureSwing: 5, rainChance: 0.4, maxRain: 20, stormChance: 0.05, pestGrowth: 0.4 }
+];
+
+// Temperatures plants grow best in; growth fades to nothing at the limits
+const OPTIMAL_TEMPERATURE = { min: 15, max: 28 };
+const TEMPERATURE_LIMITS = { min: 0, max: 40 };
+
+// Days without rain in a hot spell before a drought is declared
+const DROUGHT_DRY_DAYS = 5;
+const DROUGHT_TEMPERATURE = 24;
+
+// Extreme temperatures that count as weather events
+const HEATWAVE_TEMPERATURE = 33;
+const FROST_TEMPERATURE = 0;
+
+// How pests behave: the population on each plant is 0-1 and doubles as the
+// chance that pests bother the plant that day
+const PEST_SPREAD_RATE = 0.15; // Share of a neighbour's population that spreads over
+const PEST_ARRIVAL_CHANCE = 0.03; // Daily chance of pests arriving from outside
+const PEST_ARRIVAL_SIZE = 0.2;
+
+// Growth multiplier (0-1) for a temperature
+export function getTemperatureGrowthFactor(temperature) {
+    if (temperature >= OPTIMAL_TEMPERATURE.min && temperature <= OPTIMAL_TEMPERATURE.max) {
+        return 1;
+    }
+    
+    if (temperature < OPTIMAL_TEMPERATURE.min) {
+        const range = OPTIMAL_TEMPERATURE.min - TEMPERATURE_LIMITS.min;
+        return Math.max(0, (temperature - TEMPERATURE_LIMITS.min) / range);
+    }
+    
+    const range = TEMPERATURE_LIMITS.max - OPTIMAL_TEMPERATURE.max;
+    return Math.max(0, (TEMPERATURE_LIMITS.max - temperature) / range);
+}
+
+// ============== ENVIRONMENT SIMULATOR ==============
+
+// Simulates the garden day by day. Soil moisture and pest populations are
+// tracked per plant ID and carry over between days.
+export class GardenEnvironment {
+    // options.random: random source for the weather (defaults to Math.random)
+    // options.seasonLength: days per season (default 30)
+    // options.day: day to start on (0 is the first day of spring)
+    // options.getNeighbors: function(plant, plants) returning the plants next
+    // to it, for pest spread; by default plants are neighbours of the ones
+    // beside them in the list
+    constructor(options = {}) {
+        this.random = options.random || Math.random;
+        this.seasonLength = options.seasonLength || 30;
+        this.day = options.day || 0;
+        this.getNeighbors = options.getNeighbors || ((plant, plants) => {
+            const index = plants.indexOf(plant);
+            return [plants[index - 1], plants[index + 1]].filter(Boolean);
+        });
+        
+        this.soilMoisture = {}; // Plant ID -> water available (0-100)
+        this.pests = {}; // Plant ID -> pest population (0-1)
+        this.dryDays = 0;
+        this.weather = null; // Today's weather, set by advance()
+    }
+    
+    // Season object for a day (defaults to today)
+    getSeason(day = this.day) {
+        const seasonIndex = Math.floor(day / this.seasonLength) % SEASONS.length;
+        return SEASONS[seasonIndex];
+    }
+    
+    // Roll the weather for the current day
+    rollWeather() {
+        const season = this.getSeason();
+        
+        // Temperature holds at the season's mean for its first half, then
+        // drifts to the next season's mean by its end, plus daily noise
+        const seasonProgress = (this.day % this.seasonLength) / this.seasonLength;
+        const next = SEASONS[(SEASONS.indexOf(season) + 1) % SEASONS.length];
+        const trend = season.temperature +
+            (next.temperature - season.temperature) * 2 * Math.max(0, seasonProgress - 0.5);
+        const temperature = trend + (this.random() * 2 - 1) * season.temperatureSwing;
+        
+        const raining = this.random() < season.rainChance;
+        const rainfall = raining ? this.random() * season.maxRain : 0;
+        
+        this.dryDays = raining ? 0 : this.dryDays + 1;
+        
+        // At most one weather event a day, most severe first
+        let event = null;
+        if (raining && this.random() < season.stormChance) {
+            event = "storm";
+        } else if (temperature <= FROST_TEMPERATURE) {
+            event = "frost";
+        } else if (temperature >= HEATWAVE_TEMPERATURE) {
+            event = "heatwave";
+        } else if (this.dryDays >= DROUGHT_DRY_DAYS && temperature >= DROUGHT_TEMPERATURE) {
+            event = "drought";
+        }
+        
+        return {
+            day: this.day,
+            season: season.name,
+            temperature: Math.round(temperature * 10) / 10,
+            rainfall: Math.round(rainfall),
+            event,
+            growthFactor: getTemperatureGrowthFactor(temperature)
+        };
+    }
+    
+    // Move to the next day: roll the weather, update soil moisture and pests
+    // for every plant, and return a function(plant) giving that plant's
+    // conditions for Plant.update:
+    // { waterLevel, pestPresent, weatherEvent, temperature, growthFactor, season }
+    // options.irrigation: water added to every plant (number) or per plant
+    // (function(plant) returning a number)
+    advance(plants, options = {}) {
+        this.weather = this.rollWeather();
+        this.day++;
+        
+        const weather = this.weather;
+        const season = SEASONS.find(entry => entry.name === weather.season);
+        const conditions = {};
+        
+        // Evaporation grows with heat: a quarter of the water a day at 20°C
+        const evaporation = Math.min(0.6, Math.max(0.05, 0.25 * weather.temperature / 20));
+        
+        // Work out tomorrow's pests from today's, so spreading is symmetric
+        const previousPests = { ...this.pests };
+        
+        plants.forEach(plant => {
+            const irrigation = typeof options.irrigation === 'function' ?
+                options.irrigation(plant) || 0 :
+                options.irrigation || 0;
+            
+            // Soil moisture carries over, minus evaporation, plus rain and irrigation
+            const storedWater = this.soilMoisture[plant.id] ?? 50;
+            const waterLevel = Math.min(100, storedWater * (1 - evaporation) + weather.rainfall + irrigation);
+            
+            // The plant drinks what it needs from what is there
+            const waterNeeds = plant.phenotype.WN?.effectiveWaterPerDay || 20;
+            this.soilMoisture[plant.id] = Math.max(0, waterLevel - waterNeeds);
+            
+            // Pests breed with the season, spread in from neighbours and now and
+            // then arrive from outside. Resistant plants (low pest damage
+            // chance) shed them faster.
+            const damageChance = plant.phenotype.RS?.effectivePestDamageChance ?? 0.2;
+            const spreadIn = this.getNeighbors(plant, plants)
+                .reduce((sum, neighbor) => sum + (previousPests[neighbor.id] || 0) * PEST_SPREAD_RATE, 0);
+            const arrival = this.random() < PEST_ARRIVAL_CHANCE ? PEST_ARRIVAL_SIZE : 0;
+            
+            let population = ((previousPests[plant.id] || 0) + spreadIn + arrival) *
+                season.pestGrowth * (0.5 + damageChance);
+            population = Math.min(1, population);
+            if (population < 0.01) population = 0;
+            
+            this.pests[plant.id] = population;
+            
+            conditions[plant.id] = {
+                waterLevel,
+                pestPresent: this.random() < population,
+                weatherEvent: weather.event,
+                temperature: weather.temperature,
+                growthFactor: weather.growthFactor,
+                season: weather.season
+            };
+        });
+        
+        return plant => conditions[plant.id] || {
+            waterLevel: 0,
+            pestPresent: false,
+            weatherEvent: weather.event,
+            temperature: weather.temperature,
+            growthFactor: weather.growthFactor,
+            season: weather.season
+        };
+    }
+    
+    // Advance a day and update every plant with its conditions. Returns
+    // [{ plant, event }] like the genetics system's advanceDay.
+    tick(plants, options = {}) {
+        const conditionsFor = this.advance(plants, options);
+        const results = [];
+        
+        plants.forEach(plant => {
+            // Dead plants stay dead until the game removes them
+            if (plant.health <= 0) return;
+            
+            const conditions = conditionsFor(plant);
+            const result = plant.update(
+                conditions.waterLevel,
+                conditions.pestPresent,
+                conditions.weatherEvent,
+                conditions
+            );
+            
+            if (result) {
+                results.push({ plant, event: result.event });
+            }
+        });
+        
+        return results;
+    }
+    
+    // Forget the soil and pests of a plant that was removed
+    removePlant(plant) {
+        delete this.soilMoisture[plant.id];
+        delete this.pests[plant.id];
+    }
+    
+    // Pest population on a plant (0-1)
+    getPestLevel(plant) {
+        return this.pests[plant.id] || 0;
+    }
+    
+    // Water stored in the soil around a plant
+    getSoilMoisture(plant) {
+        return this.soilMoisture[plant.id] ?? 50;
+    }
+}
@@ -0,0 +1,91 @@
+// Plant Genetics System: events
+// A small event bus plants and breeders announce what happens to them on,
+// so the UI, achievements, analytics and sound can listen in without
+// wrapping their methods.
+
+// ============== EVENT BUS ==============
+
+// Events and their payloads (every payload also carries its type):
+//   damaged: { plant, amount, cause, health } - health lost to "water",
+//     "pests", "drought", "storm", "heatwave", "frost" or "senescence"
+//   watered: { plant, waterLevel, waterNeeds } - the plant has enough water
+//     again after going short
+//   stageChanged: { plant, from, to } - the plant moved to another life stage
+//   matured: { plant } - the plant is ready to harvest
+//   died: { plant, cause } - cause is the damage that killed it
+//   harvested: { plant, coins, seeds, regrows }
+//   crossed: { offspring, parents: [plantA, plantB], mutagens, mutations }
+//   mutated: { plant, gene, allele, from, to, before, after } - one per
+//     mutation in a cross, before its crossed event
+//   germinated: { plant, geneSequence, success, age, viability } - a seed
+//     from a seed bank was planted; plant is null if it failed to germinate
+export const EVENT_TYPES = [
+    "damaged",
+    "watered",
+    "stageChanged",
+    "matured",
+    "died",
+    "harvested",
+    "crossed",
+    "mutated",
+    "germinated"
+];
+
+export class EventBus {
+    constructor() {
+        this.listeners = {}; // Event type (or "*" for all) -> listeners
+    }
+    
+    // Call listener(payload) whenever an event of this type is emitted; "*"
+    // listens to every event. Returns a function that unsubscribes.
+    on(type, listener) {
+        if (type !== "*" && !EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type "${type}"; expected one of ${EVENT_TYPES.join(", ")} or *`);
+        }
+        if (typeof listener !== 'function') {
+            throw new Error(`Listener for ${type} must be a function`);
+        }
+        
+        this.listeners[type] = this.listeners[type] || [];
+        this.listeners[type].push(listener);
+        
+        return () => this.off(type, listener);
+    }
+    
+    // Like on, but the listener is removed after its first event
+    once(type, listener) {
+        const unsubscribe = this.on(type, payload => {
+            unsubscribe();
+            listener(payload);
+        });
+        
+        return unsubscribe;
+    }
+    
+    // Stop calling a listener
+    off(type, listener) {
+        const listeners = this.listeners[type];
+        if (!listeners) return;
+        
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+    
+    // Call every listener of an event, without letting one that throws
+    // break the game loop or keep the others from hearing about it
+    emit(type, payload = {}) {
+        const event = { type, ...payload };
+        const listeners = (this.listeners[type] || []).concat(this.listeners["*"] || []);
+        
+        listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Genetics event listener for ${type} failed:`, error);
+            }
+        });
+    }
+}
+
+// Bus used by plants and breeders that aren't given one of their own
+export const geneticsEvents = new EventBus();
@@ -0,0 +1,311 @@
+// Plant Genetics System: game integration
+// Wires the genetics system into the existing garden game.
+
+import { Plant } from "./plant.js";
+import { PlantBreeder } from "./breeding.js";
+import { Market } from "./market.js";
+import { SeedBank } from "./seed-bank.js";
+import { deserializeGarden, serializeGarden } from "./save.js";
+import { createStarterPlant } from "./starters.js";
+import { geneticsEvents } from "./events.js";
+
+// ============== INTEGRATION WITH EXISTING GAME ==============
+
+// This function initializes the genetics system in the game and returns the
+// API the game uses for planting, daily ticks, harvesting and breeding.
+// options.random: random source shared by every plant and the breeder
+// options.hooks: optional callbacks { onPlant, onUpdate, onStageChange,
+// onHarvest, onDeath, onCross }
+// options.events: EventBus every plant and the breeder report to (the shared
+// geneticsEvents by default), available as genetics.events
+// options.seedBank: SeedBank seeds are stored in (a new one by default)
+export function initializeGeneticsSystem(game, options = {}) {
+    const random = options.random || Math.random;
+    const hooks = options.hooks || {};
+    const events = options.events || geneticsEvents;
+    const breeder = new PlantBreeder({ random, events });
+    const market = options.market || new Market({ random });
+    const seedBank = options.seedBank || new SeedBank({ random, events });
+    
+    // Notify an optional hook without letting it break the game loop
+    const notify = (hookName, ...args) => {
+        if (typeof hooks[hookName] === 'function') {
+            try {
+                hooks[hookName](...args);
+            } catch (error) {
+                console.error(`Genetics hook ${hookName} failed:`, error);
+            }
+        }
+    };
+    
+    // Add plant types to the game
+    game.plantTypes = {
+        carrot: {
+            name: "Carrot",
+            emoji: "🥕",
+            createPlant: () => createStarterPlant("carrot", { random, events })
+        },
+        tomato: {
+            name: "Tomato",
+            emoji: "🍅",
+            createPlant: () => createStarterPlant("tomato", { random, events })
+        },
+        corn: {
+            name: "Corn",
+            emoji: "🌽",
+            createPlant: () => createStarterPlant("corn", { random, events })
+        }
+    };
+    
+    // Game state owned by the genetics system
+    game.breeder = breeder;
+    game.market = market;
+    game.plants = game.plants || []; // Plants currently in the ground
+    game.coins = game.coins || 0;
+    game.seedBank = seedBank;
+    
+    // Seeds the game already had go into the seed bank, and seedInventory
+    // becomes a read-only view of its counts (gene sequence -> seed count)
+    Object.keys(game.seedInventory || {}).forEach(geneSequence => {
+        seedBank.deposit(geneSequence, game.seedInventory[geneSequence]);
+    });
+    Object.defineProperty(game, "seedInventory", {
+        get: () => seedBank.getInventory(),
+        enumerable: true,
+        configurable: true
+    });
+    
+    // Store seeds of a plant (keeping its lineage) or a gene sequence
+    const addSeeds = (plantOrSequence, count = 1) => {
+        seedBank.deposit(plantOrSequence, count);
+    };
+    
+    // Remove a plant from the ground
+    const removePlant = (plant) => {
+        const index = game.plants.indexOf(plant);
+        if (index !== -1) {
+            game.plants.splice(index, 1);
+        }
+    };
+    
+    const genetics = {
+        breeder,
+        market,
+        seedBank,
+        events,
+        
+        // Register (or replace) a plant type. Without a gene sequence the type
+        // falls back to createStarterPlant, which knows the built-in starters.
+        // perennial types regrow after harvest.
+        registerPlantType(typeKey, { name, emoji = "🌱", geneSequence = null, perennial = false } = {}) {
+            game.plantTypes[typeKey] = {
+                name: name || typeKey,
+                emoji: emoji,
+                perennial: perennial,
+                createPlant: geneSequence ?
+                    () => new Plant(geneSequence, { random, events, perennial }) :
+                    () => createStarterPlant(typeKey, { random, events, perennial })
+            };
+            
+            return game.plantTypes[typeKey];
+        },
+        
+        // Plant a starter of a registered type, or a seed from the seed bank
+        // when given a gene sequence. Returns the new plant, or null if there
+        // is no such seed or it failed to germinate (the seed is used up
+        // either way; the germinated event tells which).
+        plant(typeOrSequence) {
+            let plant;
+            let typeKey = null;
+            
+            if (game.plantTypes[typeOrSequence]) {
+                typeKey = typeOrSequence;
+                plant = game.plantTypes[typeKey].createPlant();
+            } else {
+                plant = seedBank.germinate(typeOrSequence)?.plant;
+                if (!plant) return null;
+            }
+            
+            game.plants.push(plant);
+            notify("onPlant", plant, typeKey);
+            
+            return plant;
+        },
+        
+        // Advance every planted plant by one day. conditions is either
+        // { waterLevel, pestPresent, weatherEvent } or a function(plant)
+        // returning those values per plant (GardenEnvironment.advance makes
+        // one). Dead plants are removed, market prices move on a day and
+        // stored seeds age.
+        advanceDay(conditions = {}) {
+            const results = [];
+            
+            market.advanceDay();
+            seedBank.advanceDay();
+            
+            game.plants.slice().forEach(plant => {
+                const plantConditions = typeof conditions === 'function' ?
+                    conditions(plant) || {} :
+                    conditions;
+                
+                const result = plant.update(
+                    plantConditions.waterLevel,
+                    plantConditions.pestPresent,
+                    plantConditions.weatherEvent,
+                    plantConditions
+                );
+                
+                // No result means the plant was already over (died or was
+                // harvested as an annual); ripe plants still report "ripe"
+                // or "senescing" while they wait for harvest
+                if (!result) return;
+                
+                results.push({ plant, event: result.event });
+                notify("onUpdate", plant, result);
+                
+                if (result.stageChange) {
+                    notify("onStageChange", plant, result.stageChange.from, result.stageChange.to);
+                }
+                
+                if (result.event === "died") {
+                    removePlant(plant);
+                    notify("onDeath", plant);
+                }
+            });
+            
+            return results;
+        },
+        
+        // Harvest a ready plant: sell the crop on the market and bank any
+        // seeds it dropped, with the plant's lineage. Annuals are cleared
+        // away; perennials stay in the ground to regrow.
+        harvest(plant) {
+            const result = plant.harvest({ market });
+            
+            if (!result.success) return result;
+            
+            game.coins += result.rewards.coins;
+            addSeeds(plant, result.rewards.seeds);
+            if (!result.regrows) {
+                removePlant(plant);
+            }
+            notify("onStageChange", plant, result.stageChange.from, result.stageChange.to);
+            notify("onHarvest", plant, result);
+            
+            return result;
+        },
+        
+        // Cross two plants and put the offspring seed in the inventory
+        // options.mutagens: mutagen IDs or definitions applied to the cross
+        crossPlants(plantA, plantB, options = {}) {
+            const offspring = breeder.crossPlants(plantA, plantB, options);
+            
+            if (!offspring) return null;
+            
+            addSeeds(offspring);
+            notify("onCross", offspring, plantA, plantB);
+            
+            return offspring;
+        },
+        
+        // Cross two seeds from the inventory, consuming one of each. The
+        // parents keep the lineage stored with their seeds, so the breeder
+        // sees how they're related.
+        crossSeeds(geneSequenceA, geneSequenceB, options = {}) {
+            const sameSeed = seedBank.normalizeSequence(geneSequenceA) ===
+                seedBank.normalizeSequence(geneSequenceB);
+            const needed = sameSeed ? 2 : 1;
+            
+            if (seedBank.getCount(geneSequenceA) < needed || seedBank.getCount(geneSequenceB) < 1) {
+                return null;
+            }
+            
+            const [lotA] = seedBank.withdraw(geneSequenceA);
+            const [lotB] = seedBank.withdraw(geneSequenceB);
+            
+            return genetics.crossPlants(
+                seedBank.createPlant(geneSequenceA, lotA),
+                seedBank.createPlant(geneSequenceB, lotB),
+                options
+            );
+        },
+        
+        addSeeds,
+        
+        // Sell seeds from the inventory to the market. Returns the coins
+        // earned, or null if there aren't that many seeds.
+        sellSeeds(geneSequence, count = 1) {
+            if (count <= 0 || !seedBank.withdraw(geneSequence, count)) return null;
+            
+            const coins = market.sellSeeds(geneSequence, count);
+            game.coins += coins;
+            
+            return coins;
+        },
+        
+        // Buy seeds the market has in stock. Returns the cost, or null if
+        // the market doesn't have them or there aren't enough coins.
+        buySeeds(geneSequence, count = 1) {
+            const cost = market.getSeedPrice(geneSequence, { buying: true }) * count;
+            
+            if (count <= 0 || game.coins < cost || market.getSeedStock(geneSequence) < count) {
+                return null;
+            }
+            
+            market.buySeeds(geneSequence, count);
+            game.coins -= cost;
+            addSeeds(geneSequence, count);
+            
+            return cost;
+        },
+        
+        // Versioned JSON-ready snapshot of the whole garden
+        save() {
+            return serializeGarden(game);
+        },
+        
+        // Replace the garden with a save from save()
+        load(data) {
+            const garden = deserializeGarden(data, { random, events });
+            
+            game.coins = garden.coins;
+            game.plants.length = 0;
+            game.plants.push(...garden.plants);
+            
+            // Keep the same seed bank, breeder and market objects, which the
+            // API above closes over
+            seedBank.day = garden.seedBank.day;
+            seedBank.germinationRate = garden.seedBank.germinationRate;
+            seedBank.viabilityHalfLife = garden.seedBank.viabilityHalfLife;
+            seedBank.entries = garden.seedBank.entries;
+            
+            breeder.mutationRate = garden.breeder.mutationRate;
+            breeder.mutationRates = garden.breeder.mutationRates;
+            breeder.crossingHistory = garden.breeder.crossingHistory;
+            breeder.pedigree = garden.breeder.pedigree;
+            breeder.nextOrder = garden.breeder.nextOrder;
+            breeder.kinshipCache = {};
+            
+            market.basePrice = garden.market.basePrice;
+            market.day = garden.market.day;
+            market.demand = garden.market.demand;
+            market.saturation = garden.market.saturation;
+            market.seedStock = garden.market.seedStock;
+            
+            return genetics;
+        },
+        
+        // Snapshot of the seed bank for UI display: what SeedBank.getSeeds
+        // lists, plus each genotype's plant info
+        getSeedInventory() {
+            return seedBank.getSeeds().map(seed => ({
+                ...seed,
+                info: new Plant(seed.geneSequence, { id: "seed-bank-quote" }).getInfo({ market })
+            }));
+        }
+    };
+    
+    game.genetics = genetics;
+    
+    return genetics;
+}
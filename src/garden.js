@@ -0,0 +1,322 @@
+// Plant Genetics System: garden
+// Plants laid out on a grid of plots. Neighbours shade each other and
+// compete for water according to their size (SZ.scale), and flowering plants
+// pollinate each other, so harvested seeds come from open pollination rather
+// than chosen crosses.
+// Pass a GardenEnvironment for the weather.
+
+import { Plant } from "./plant.js";
+import { PlantBreeder } from "./breeding.js";
+
+// ============== SHADING, WATER AND POLLEN ==============
+
+// Growth lost per unit of scale a neighbour is taller, and the most a plant
+// can be shaded
+const SHADE_PER_SCALE = 0.5;
+const MAX_SHADE = 0.6;
+
+// Share of a plot's water that neighbouring roots can take at most
+const WATER_COMPETITION = 0.4;
+
+// Neighbours are the plots within this distance (1.5 takes in the diagonals)
+const NEIGHBOR_RADIUS = 1.5;
+
+// Daily chance that a flowering plant receives pollen, and how far (in
+// plots) pollen travels
+const POLLINATION_CHANCE = 0.3;
+const POLLINATION_RADIUS = 2;
+
+// ============== GARDEN GRID ==============
+
+// A width x height grid of plots, each holding at most one plant
+export class Garden {
+    // options.width, options.height: size of the grid (default 5 x 5)
+    // options.random: random source for pollination (defaults to Math.random)
+    // options.breeder: PlantBreeder that makes the seeds (a new one by default)
+    // options.market: Market harvests are sold on (otherwise the base price)
+    // options.environment: GardenEnvironment for the weather; its neighbours
+    // are taken from the grid. Without one, tick() needs options.conditions.
+    // options.pollinationChance, options.pollinationRadius: see above
+    // options.isCompatible: function(mother, father) deciding who can
+    // pollinate whom (default: anyone)
+    // options.allowSelfing: unpollinated plants set seed with their own
+    // pollen (default true)
+    constructor(options = {}) {
+        this.width = options.width || 5;
+        this.height = options.height || 5;
+        this.random = options.random || Math.random;
+        this.breeder = options.breeder || new PlantBreeder({ random: this.random });
+        this.market = options.market || null;
+        this.pollinationChance = options.pollinationChance ?? POLLINATION_CHANCE;
+        this.pollinationRadius = options.pollinationRadius ?? POLLINATION_RADIUS;
+        this.isCompatible = options.isCompatible || (() => true);
+        this.allowSelfing = options.allowSelfing ?? true;
+        
+        this.environment = options.environment || null;
+        if (this.environment) {
+            this.environment.getNeighbors = plant => this.getNeighbors(plant);
+        }
+        
+        this.plots = [];
+        for (let y = 0; y < this.height; y++) {
+            const row = [];
+            for (let x = 0; x < this.width; x++) {
+                row.push({ x, y, plant: null });
+            }
+            this.plots.push(row);
+        }
+        
+        this.pollen = {}; // Mother plant ID -> plants whose pollen she received
+    }
+    
+    // Plot at a position, or null outside the grid
+    getPlot(x, y) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return null;
+        return this.plots[y][x];
+    }
+    
+    // Plot a plant is growing in, or null
+    findPlot(plant) {
+        for (const row of this.plots) {
+            const plot = row.find(entry => entry.plant === plant);
+            if (plot) return plot;
+        }
+        
+        return null;
+    }
+    
+    // All plants in the garden, row by row
+    getPlants() {
+        const plants = [];
+        
+        this.plots.forEach(row => row.forEach(plot => {
+            if (plot.plant) plants.push(plot.plant);
+        }));
+        
+        return plants;
+    }
+    
+    // Put a plant (or a new plant from a gene sequence) in an empty plot
+    plant(x, y, plantOrSequence) {
+        const plot = this.getPlot(x, y);
+        
+        if (!plot) {
+            throw new Error(`Cannot plant at ${x},${y}: outside the ${this.width}x${this.height} garden`);
+        }
+        if (plot.plant) {
+            throw new Error(`Cannot plant at ${x},${y}: plot is taken by ${plot.plant.id}`);
+        }
+        
+        plot.plant = plantOrSequence instanceof Plant ?
+            plantOrSequence :
+            new Plant(plantOrSequence, { random: this.random, events: this.breeder.events });
+        
+        return plot.plant;
+    }
+    
+    // Clear a plot and return the plant that was in it
+    remove(x, y) {
+        const plot = this.getPlot(x, y);
+        const plant = plot?.plant;
+        
+        if (!plant) return null;
+        
+        plot.plant = null;
+        delete this.pollen[plant.id];
+        if (this.environment) this.environment.removePlant(plant);
+        
+        return plant;
+    }
+    
+    // Distance in plots between two plants
+    getDistance(plantA, plantB) {
+        const plotA = this.findPlot(plantA);
+        const plotB = this.findPlot(plantB);
+        
+        if (!plotA || !plotB) return Infinity;
+        
+        return Math.hypot(plotA.x - plotB.x, plotA.y - plotB.y);
+    }
+    
+    // Plants within a distance of a plant (not counting the plant itself)
+    getNeighbors(plant, radius = NEIGHBOR_RADIUS) {
+        const plot = this.findPlot(plant);
+        const neighbors = [];
+        
+        if (!plot) return neighbors;
+        
+        const reach = Math.floor(radius);
+        for (let y = plot.y - reach; y <= plot.y + reach; y++) {
+            for (let x = plot.x - reach; x <= plot.x + reach; x++) {
+                const other = this.getPlot(x, y);
+                
+                if (!other || !other.plant || other === plot) continue;
+                if (Math.hypot(other.x - plot.x, other.y - plot.y) > radius) continue;
+                
+                neighbors.push(other.plant);
+            }
+        }
+        
+        return neighbors;
+    }
+    
+    // Share of growth lost (0 - MAX_SHADE) to taller living neighbours
+    getShade(plant) {
+        const scale = plant.phenotype.SZ?.scale || 1;
+        
+        const shade = this.getNeighbors(plant)
+            .filter(neighbor => neighbor.health > 0)
+            .reduce((sum, neighbor) => {
+                const taller = (neighbor.phenotype.SZ?.scale || 1) - scale;
+                return sum + Math.max(0, taller) * SHADE_PER_SCALE;
+            }, 0);
+        
+        return Math.min(MAX_SHADE, shade);
+    }
+    
+    // Share of its plot's water (0-1) a plant gets after its living
+    // neighbours' roots take theirs; bigger plants take more
+    getWaterShare(plant) {
+        const scale = plant.phenotype.SZ?.scale || 1;
+        const neighborScale = this.getNeighbors(plant)
+            .filter(neighbor => neighbor.health > 0)
+            .reduce((sum, neighbor) => sum + (neighbor.phenotype.SZ?.scale || 1), 0);
+        
+        return 1 - WATER_COMPETITION * neighborScale / (neighborScale + scale);
+    }
+    
+    // A plant's conditions for Plant.update once shading and water
+    // competition are applied to the garden-wide ones
+    adjustConditions(plant, conditions) {
+        const shade = this.getShade(plant);
+        
+        return {
+            ...conditions,
+            waterLevel: conditions.waterLevel * this.getWaterShare(plant),
+            growthFactor: (conditions.growthFactor ?? 1) * (1 - shade),
+            shade
+        };
+    }
+    
+    // Can father pollinate mother today?
+    canPollinate(mother, father) {
+        return mother !== father &&
+            mother.stage === "flowering" && father.stage === "flowering" &&
+            mother.health > 0 && father.health > 0 &&
+            this.isCompatible(mother, father);
+    }
+    
+    // Give flowering plants a chance to receive pollen from flowering
+    // neighbours, picked with weight 1 / distance². Returns the pollinations
+    // as [{ plant, event: "pollinated", father }].
+    pollinate() {
+        const results = [];
+        
+        this.getPlants().forEach(mother => {
+            if (mother.stage !== "flowering" || mother.health <= 0) return;
+            if (this.random() >= this.pollinationChance) return;
+            
+            const donors = this.getNeighbors(mother, this.pollinationRadius)
+                .filter(father => this.canPollinate(mother, father));
+            
+            if (donors.length === 0) return;
+            
+            const weights = donors.map(father => 1 / Math.pow(this.getDistance(mother, father), 2));
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            
+            let roll = this.random() * total;
+            let father = donors[donors.length - 1];
+            for (let i = 0; i < donors.length; i++) {
+                roll -= weights[i];
+                if (roll < 0) {
+                    father = donors[i];
+                    break;
+                }
+            }
+            
+            this.pollen[mother.id] = this.pollen[mother.id] || [];
+            this.pollen[mother.id].push(father);
+            results.push({ plant: mother, event: "pollinated", father });
+        });
+        
+        return results;
+    }
+    
+    // Advance the garden a day: update every living plant with its
+    // (shaded, shared) conditions, then let flowering plants pollinate.
+    // Returns [{ plant, event }] like GardenEnvironment.tick.
+    // options.conditions: garden-wide conditions when there's no
+    // environment, { waterLevel, pestPresent, weatherEvent, growthFactor }
+    // or function(plant) returning them
+    // Other options (such as irrigation) go to the environment.
+    tick(options = {}) {
+        const plants = this.getPlants();
+        const results = [];
+        
+        let conditionsFor;
+        if (this.environment) {
+            conditionsFor = this.environment.advance(plants, options);
+        } else if (typeof options.conditions === 'function') {
+            conditionsFor = options.conditions;
+        } else {
+            const conditions = { waterLevel: 50, pestPresent: false, weatherEvent: null, ...options.conditions };
+            conditionsFor = () => conditions;
+        }
+        
+        // Work out everyone's conditions first, so plants growing today
+        // don't change the shade their neighbours get today
+        const adjusted = new Map();
+        plants.forEach(plant => {
+            if (plant.health > 0) adjusted.set(plant, this.adjustConditions(plant, conditionsFor(plant)));
+        });
+        
+        adjusted.forEach((conditions, plant) => {
+            const result = plant.update(
+                conditions.waterLevel,
+                conditions.pestPresent,
+                conditions.weatherEvent,
+                conditions
+            );
+            
+            if (result) {
+                results.push({ plant, event: result.event });
+            }
+        });
+        
+        return results.concat(this.pollinate());
+    }
+    
+    // Harvest the plant in a plot. Seeds come from the pollen the plant
+    // received (or its own, if it got none and selfing is allowed): the
+    // result's offspring lists them as
+    // [{ plant, geneSequence, motherId }]. Which neighbour fathered each
+    // seed isn't reported; only the breeder's pedigree knows. Spent
+    // annuals are cleared from the plot.
+    harvest(x, y) {
+        const plant = this.getPlot(x, y)?.plant;
+        
+        if (!plant) {
+            return { success: false, message: "Nothing to harvest here" };
+        }
+        
+        const result = plant.harvest({ market: this.market });
+        if (!result.success) return result;
+        
+        const donors = this.pollen[plant.id] || [];
+        const offspring = [];
+        
+        for (let i = 0; i < result.rewards.seeds; i++) {
+            let father = donors.length > 0 ? donors[Math.floor(this.random() * donors.length)] : null;
+            if (!father && this.allowSelfing) father = plant;
+            if (!father) break;
+            
+            const seed = this.breeder.crossPlants(plant, father);
+            offspring.push({ plant: seed, geneSequence: seed.toGeneSequence(), motherId: plant.id });
+        }
+        
+        delete this.pollen[plant.id];
+        if (!result.regrows) this.remove(x, y);
+        
+        return { ...result, offspring };
+    }
+}
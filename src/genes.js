@@ -0,0 +1,282 @@
+// Plant Genetics System: gene sequences
+// Parsing and validation of gene sequences ("FC:RB-SZ:33-...") and the
+// allele arithmetic for quantitative genes.
+
+import { GENE_TRAITS } from "./traits.js";
+
+// ============== GENE SEQUENCE PARSING ==============
+
+// Error thrown by strict parsing; problems holds the structured list
+// returned by validateGeneSequence
+export class GeneSequenceError extends Error {
+    constructor(problems) {
+        super(`Invalid gene sequence: ${problems.map(problem => problem.message).join("; ")}`);
+        this.name = "GeneSequenceError";
+        this.problems = problems;
+    }
+}
+
+// Quantitative alleles are written as fixed-width digit groups. Traits with
+// decimals store tenths/hundredths: GR (decimals 1, max 1.5) uses two digits
+// per allele, so "GR:12" is 1.2 and "GR:0812" is the pair 0.8/1.2.
+export function getAlleleScale(trait) {
+    return Math.pow(10, trait.decimals || 0);
+}
+
+// Digits used to write one allele of a quantitative trait
+function getAlleleWidth(trait) {
+    return String(Math.round(trait.max * getAlleleScale(trait))).length;
+}
+
+// Split a quantitative gene value into its numeric alleles ("34" -> [3, 4],
+// haploid "3" -> [3]). Returns null when the value isn't numeric.
+export function parseQuantitativeAlleles(trait, value) {
+    if (typeof value === 'number') return isFinite(value) ? [value] : null;
+    if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+    
+    const width = getAlleleWidth(trait);
+    const scale = getAlleleScale(trait);
+    
+    if (value.length % width !== 0) return null;
+    
+    const alleles = [];
+    for (let i = 0; i < value.length; i += width) {
+        alleles.push(parseInt(value.slice(i, i + width), 10) / scale);
+    }
+    
+    return alleles;
+}
+
+// Write numeric alleles back in the gene sequence format
+export function formatQuantitativeAlleles(trait, alleles) {
+    const width = getAlleleWidth(trait);
+    const scale = getAlleleScale(trait);
+    
+    return alleles
+        .map(allele => String(Math.round(allele * scale)).padStart(width, "0"))
+        .join("");
+}
+
+// Round a value to the smallest step the trait can express (1 / scale)
+export function roundToTraitStep(trait, value) {
+    const scale = getAlleleScale(trait);
+    
+    return Math.round(value * scale) / scale;
+}
+
+// Number of loci a quantitative trait is spread over. Polygenic traits
+// (loci > 1) carry two alleles per locus: "YD:3445" is loci [3,4] and [4,5].
+export function getTraitLoci(trait) {
+    return trait.loci || 1;
+}
+
+// Keep a single allele on the trait's step and inside its range
+export function clampQuantitativeAllele(trait, allele) {
+    return Math.max(trait.min, Math.min(trait.max, roundToTraitStep(trait, allele)));
+}
+
+// Full allele list (two per locus) of a quantitative gene. Haploid values
+// like "3" count as homozygous; unreadable values fall back to the default.
+export function getQuantitativeAlleles(trait, value) {
+    const count = getTraitLoci(trait) * 2;
+    const alleles = parseQuantitativeAlleles(trait, value) || [trait.defaultValue];
+    
+    const fullAlleles = [];
+    for (let i = 0; i < count; i++) {
+        fullAlleles.push(alleles.length === 1 ? alleles[0] : alleles[i % alleles.length]);
+    }
+    
+    return fullAlleles;
+}
+
+// Value of a quantitative gene: the mean over its loci of each locus' value.
+// A locus is the mean of its two alleles, shifted towards the higher (or,
+// for negative dominance, the lower) one by the trait's expression.dominance.
+export function getQuantitativeGeneValue(trait, value) {
+    const alleles = getQuantitativeAlleles(trait, value);
+    const dominance = trait.expression?.dominance || 0;
+    let total = 0;
+    
+    for (let i = 0; i < alleles.length; i += 2) {
+        const mean = (alleles[i] + alleles[i + 1]) / 2;
+        total += mean + dominance * Math.abs(alleles[i] - alleles[i + 1]) / 2;
+    }
+    
+    return total / (alleles.length / 2);
+}
+
+// Default genotype of a trait in the gene sequence format ("WW", "1010")
+export function getDefaultGeneValue(trait) {
+    if (trait.type !== "quantitative") return trait.defaultValue;
+    
+    return formatQuantitativeAlleles(trait, getQuantitativeAlleles(trait, trait.defaultValue));
+}
+
+// Look up the valueMap properties for a value, interpolating linearly
+// between the surrounding entries when there's no exact key (e.g. GR 1.1
+// sits between 1.0 and 1.2). Non-numeric properties come from the nearer entry.
+export function interpolateValueMap(trait, value) {
+    const valueMap = trait.valueMap || {};
+    const keys = Object.keys(valueMap).map(Number).sort((a, b) => a - b);
+    
+    if (keys.length === 0) return {};
+    
+    let lower = keys[0];
+    let upper = keys[keys.length - 1];
+    
+    keys.forEach(key => {
+        if (key <= value) lower = key;
+    });
+    for (let i = keys.length - 1; i >= 0; i--) {
+        if (keys[i] >= value) upper = keys[i];
+    }
+    
+    if (lower === upper || value <= keys[0] || value >= keys[keys.length - 1]) {
+        return { ...valueMap[value <= keys[0] ? keys[0] : value >= upper ? upper : lower] };
+    }
+    
+    const t = (value - lower) / (upper - lower);
+    const lowerEntry = valueMap[lower];
+    const upperEntry = valueMap[upper];
+    const result = {};
+    
+    new Set([...Object.keys(lowerEntry), ...Object.keys(upperEntry)]).forEach(property => {
+        const a = lowerEntry[property];
+        const b = upperEntry[property];
+        
+        if (typeof a === 'number' && typeof b === 'number') {
+            result[property] = a + (b - a) * t;
+        } else {
+            result[property] = t < 0.5 && a !== undefined ? a : b !== undefined ? b : a;
+        }
+    });
+    
+    return result;
+}
+
+// Check a gene sequence string like "FC:RB-SZ:33" and return
+// { valid, problems, genes }. Each problem is
+// { code, gene, value, index, position, message } where index is the segment
+// number and position the character offset of the segment in the string.
+// genes is the repaired genotype in GENE_TRAITS order, whatever order the
+// sequence was written in: unknown and duplicate genes are dropped, bad
+// alleles and numbers replaced or clamped, missing genes defaulted.
+export function validateGeneSequence(sequence) {
+    const problems = [];
+    const genes = {};
+    
+    const report = (code, segment, message, details = {}) => {
+        problems.push({
+            code,
+            gene: details.gene !== undefined ? details.gene : null,
+            value: details.value !== undefined ? details.value : null,
+            index: segment.index,
+            position: segment.position,
+            message: `${message} at position ${segment.position}`
+        });
+    };
+    
+    if (typeof sequence !== 'string') {
+        report("invalid_sequence", { index: -1, position: 0 }, "Gene sequence must be a string");
+        sequence = "";
+    }
+    
+    // Split the sequence by dashes, remembering where each segment starts
+    let position = 0;
+    const segments = sequence === "" ? [] : sequence.split('-').map((text, index) => {
+        const segment = { text, index, position };
+        position += text.length + 1;
+        return segment;
+    });
+    
+    segments.forEach(segment => {
+        const separator = segment.text.indexOf(':');
+        
+        if (separator <= 0 || separator === segment.text.length - 1) {
+            report("malformed_segment", segment, `Segment "${segment.text}" is not KEY:VALUE`,
+                { value: segment.text });
+            return;
+        }
+        
+        const geneKey = segment.text.slice(0, separator);
+        const value = segment.text.slice(separator + 1);
+        const trait = GENE_TRAITS[geneKey];
+        
+        if (!trait) {
+            report("unknown_gene", segment, `Unknown gene ${geneKey}`, { gene: geneKey, value });
+            return;
+        }
+        
+        if (genes[geneKey] !== undefined) {
+            report("duplicate_gene", segment, `Gene ${geneKey} appears more than once`,
+                { gene: geneKey, value });
+            return;
+        }
+        
+        const details = { gene: geneKey, value };
+        
+        if (trait.type === "qualitative") {
+            let alleles = value.split("");
+            
+            if (alleles.length !== 2) {
+                report("wrong_ploidy", segment, `Gene ${geneKey} needs 2 alleles, got ${alleles.length}`, details);
+                // Repair: double a single allele, keep the first two of many
+                alleles = alleles.length === 1 ? [alleles[0], alleles[0]] : alleles.slice(0, 2);
+            }
+            
+            alleles = alleles.map((allele, alleleIndex) => {
+                if (trait.alleles[allele]) return allele;
+                
+                report("illegal_allele", segment, `Gene ${geneKey} has no allele "${allele}"`, details);
+                return trait.defaultValue[alleleIndex];
+            });
+            
+            genes[geneKey] = alleles.join("");
+        } else if (trait.type === "quantitative") {
+            let alleles = parseQuantitativeAlleles(trait, value);
+            
+            if (!alleles) {
+                const message = /^\d+$/.test(value) ?
+                    `Gene ${geneKey} value "${value}" must be written in groups of ${getAlleleWidth(trait)} digits` :
+                    `Gene ${geneKey} value "${value}" is not a number`;
+                
+                report("invalid_number", segment, message, details);
+                genes[geneKey] = getDefaultGeneValue(trait);
+                return;
+            }
+            
+            // Two alleles per locus; a single haploid value is read as homozygous
+            const expected = getTraitLoci(trait) * 2;
+            if (alleles.length !== 1 && alleles.length !== expected) {
+                report("wrong_ploidy", segment,
+                    `Gene ${geneKey} needs ${expected} alleles, got ${alleles.length}`, details);
+            }
+            
+            alleles = alleles.map(allele => {
+                if (allele >= trait.min && allele <= trait.max) return allele;
+                
+                report("out_of_range", segment,
+                    `Gene ${geneKey} allele ${allele} is outside ${trait.min}-${trait.max}`, details);
+                return clampQuantitativeAllele(trait, allele);
+            });
+            
+            genes[geneKey] = formatQuantitativeAlleles(trait, getQuantitativeAlleles(
+                trait,
+                formatQuantitativeAlleles(trait, alleles)
+            ));
+        }
+    });
+    
+    // Put the genes in GENE_TRAITS order, so the same genotype always
+    // gives the same sequence, and fill in any missing ones with defaults
+    const orderedGenes = {};
+    Object.keys(GENE_TRAITS).forEach(key => {
+        orderedGenes[key] = genes[key] !== undefined ? genes[key] : getDefaultGeneValue(GENE_TRAITS[key]);
+    });
+    
+    return {
+        valid: problems.length === 0,
+        problems,
+        genes: orderedGenes
+    };
+}
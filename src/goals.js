@@ -0,0 +1,414 @@
+// Plant Genetics System: breeding goals
+// Breeding challenges described declaratively, and checks of plants against
+// them. A goal maps gene keys to conditions, in the format
+// matchesTraitCondition understands:
+//
+//   { FC: "Purple", YD: { gte: 4 }, LS: "heart" }
+//
+// Keys that aren't genes are checked against the plant's getInfo() fields
+// ({ sellPrice: { gte: 20 }, stage: "fruiting" }). Object conditions can
+// carry a weight for partial scoring ({ gte: 4, weight: 2 }). Quests wrap a
+// goal with a way to fulfil it and a reward.
+
+import { GENE_TRAITS } from "./traits.js";
+import { matchesTraitCondition } from "./phenotype.js";
+import { Plant } from "./plant.js";
+
+// ============== GOALS ==============
+
+// Check a goal and return a list of problems (empty when valid)
+export function validateGoal(goal) {
+    const problems = [];
+    
+    if (!goal || typeof goal !== 'object' || Array.isArray(goal)) {
+        return ["goal must be an object of conditions"];
+    }
+    
+    if (Object.keys(goal).length === 0) {
+        problems.push("goal needs at least one condition");
+    }
+    
+    Object.keys(goal).forEach(key => {
+        const condition = goal[key];
+        const type = typeof condition;
+        
+        if (type !== 'string' && type !== 'number' && type !== 'function' &&
+            !(condition && type === 'object')) {
+            problems.push(`condition for ${key} must be a string, number, object or function`);
+        }
+        if (condition && type === 'object' && condition.weight !== undefined &&
+            !(typeof condition.weight === 'number' && condition.weight > 0)) {
+            problems.push(`weight for ${key} must be a positive number`);
+        }
+    });
+    
+    return problems;
+}
+
+// What a goal key is checked against for a plant: the gene's phenotype, or
+// a getInfo() field wrapped so matchesTraitCondition can read it
+function getGoalSubject(plant, key, info) {
+    if (GENE_TRAITS[key]) return plant.phenotype[key];
+    if (info[key] === undefined) return undefined;
+    
+    return { name: String(info[key]), value: info[key] };
+}
+
+// Partial credit (0-1) for a missed numeric range: 1 minus the distance to
+// the range as a share of the trait's span (or of the bound itself for
+// getInfo() fields). Other missed conditions score 0.
+function getPartialMatch(subject, condition, key) {
+    if (!subject || typeof subject.value !== 'number' || !condition || typeof condition !== 'object') {
+        return 0;
+    }
+    
+    const value = subject.value;
+    let distance = 0;
+    
+    if (condition.gt !== undefined) distance = Math.max(distance, condition.gt - value);
+    if (condition.gte !== undefined) distance = Math.max(distance, condition.gte - value);
+    if (condition.lt !== undefined) distance = Math.max(distance, value - condition.lt);
+    if (condition.lte !== undefined) distance = Math.max(distance, value - condition.lte);
+    if (typeof condition.eq === 'number') distance = Math.max(distance, Math.abs(value - condition.eq));
+    
+    if (distance <= 0) return 0;
+    
+    const trait = GENE_TRAITS[key];
+    const bound = [condition.gt, condition.gte, condition.lt, condition.lte, condition.eq]
+        .find(entry => typeof entry === 'number');
+    const span = trait && trait.type === "quantitative" ?
+        trait.max - trait.min :
+        Math.max(1, Math.abs(bound || 0));
+    
+    return Math.max(0, 1 - distance / span);
+}
+
+// Check a plant against a goal. Returns
+// { complete, score, matched, missing, details } where score (0-1) is the
+// weighted share of conditions met, with partial credit for near misses,
+// and details[key] is { matched, partial, actual }.
+export function evaluateGoal(plant, goal) {
+    const info = plant.getInfo();
+    const details = {};
+    let totalWeight = 0;
+    let earned = 0;
+    
+    Object.keys(goal).forEach(key => {
+        const condition = goal[key];
+        const weight = condition && typeof condition === 'object' && condition.weight || 1;
+        const subject = getGoalSubject(plant, key, info);
+        const matched = matchesTraitCondition(subject, condition);
+        const partial = matched ? 1 : getPartialMatch(subject, condition, key);
+        
+        details[key] = {
+            matched,
+            partial,
+            actual: subject ? (GENE_TRAITS[key]?.type === "qualitative" ? subject.name : subject.value) : null
+        };
+        
+        totalWeight += weight;
+        earned += weight * partial;
+    });
+    
+    const matched = Object.keys(details).filter(key => details[key].matched);
+    
+    return {
+        complete: matched.length === Object.keys(goal).length,
+        score: totalWeight > 0 ? earned / totalWeight : 0,
+        matched,
+        missing: Object.keys(details).filter(key => !details[key].matched),
+        details
+    };
+}
+
+// Plants that meet a goal, best scores first for those that don't:
+// [{ plant, evaluation }]
+export function rankPlantsForGoal(plants, goal) {
+    return plants
+        .map(plant => ({ plant, evaluation: evaluateGoal(plant, goal) }))
+        .sort((a, b) => b.evaluation.score - a.evaluation.score);
+}
+
+// ============== QUESTS ==============
+
+// How a quest is fulfilled:
+// - "breed": breed `count` offspring that meet the goal (read from the
+//   breeder's crossing history since the quest was started)
+// - "harvest": harvest `count` plants that meet the goal
+// - "deliver": hand in `count` plants that meet the goal
+export const QUEST_TYPES = ["breed", "harvest", "deliver"];
+
+// Starter breeding challenges
+export const BREEDING_QUESTS = [
+    {
+        id: "first-blend",
+        title: "A Touch of Purple",
+        description: "Breed a plant with purple flowers.",
+        type: "breed",
+        goal: { FC: "Purple" },
+        reward: { coins: 25 }
+    },
+    {
+        id: "heart-leaves",
+        title: "Sweetheart",
+        description: "Harvest three plants with heart-shaped leaves.",
+        type: "harvest",
+        goal: { LS: "heart" },
+        count: 3,
+        reward: { coins: 40 }
+    },
+    {
+        id: "bumper-crop",
+        title: "Bumper Crop",
+        description: "Deliver a high-yield plant with peach flowers.",
+        type: "deliver",
+        goal: { FC: "Peach", YD: { gte: 4 } },
+        requires: ["first-blend"],
+        reward: { coins: 80 }
+    },
+    {
+        id: "hidden-gold",
+        title: "Hidden Gold",
+        description: "Breed a plant with gold flowers, a colour only mutations reveal.",
+        type: "breed",
+        goal: { FC: "Gold" },
+        requires: ["first-blend"],
+        reward: { coins: 200 }
+    }
+];
+
+// Check a quest definition and return a list of problems
+export function validateQuest(quest) {
+    const problems = [];
+    
+    if (!quest || typeof quest !== 'object') {
+        return ["quest must be an object"];
+    }
+    if (typeof quest.id !== 'string' || quest.id === "") {
+        problems.push("id must be a non-empty string");
+    }
+    if (typeof quest.title !== 'string' || quest.title === "") {
+        problems.push("title must be a non-empty string");
+    }
+    if (!QUEST_TYPES.includes(quest.type)) {
+        problems.push(`type must be one of ${QUEST_TYPES.join(", ")}`);
+    }
+    if (quest.count !== undefined && !(Number.isInteger(quest.count) && quest.count > 0)) {
+        problems.push("count must be a positive whole number");
+    }
+    if (quest.requires !== undefined && !Array.isArray(quest.requires)) {
+        problems.push("requires must be a list of quest IDs");
+    }
+    if (quest.reward !== undefined && (!quest.reward || typeof quest.reward !== 'object')) {
+        problems.push("reward must be an object like { coins, seeds }");
+    }
+    
+    validateGoal(quest.goal).forEach(problem => problems.push(`goal: ${problem}`));
+    
+    return problems;
+}
+
+// Tracks quests for a player: which are available, started, complete and
+// claimed, and how far along each one is.
+export class QuestLog {
+    // options.breeder: PlantBreeder whose crossing history breed quests read
+    // options.quests: quest definitions (default BREEDING_QUESTS)
+    // options.state: saved getState() output to pick up from
+    constructor(options = {}) {
+        this.breeder = options.breeder || null;
+        this.quests = {};
+        this.progress = {}; // Quest ID -> { status, checked, count, best }
+        
+        (options.quests || BREEDING_QUESTS).forEach(quest => this.addQuest(quest));
+        
+        if (options.state) {
+            Object.keys(options.state).forEach(id => {
+                if (this.quests[id]) this.progress[id] = { ...options.state[id] };
+            });
+        }
+    }
+    
+    // Add a quest definition; throws if it's invalid or the ID is taken
+    addQuest(quest) {
+        const problems = validateQuest(quest);
+        
+        if (quest && this.quests[quest.id]) {
+            problems.push(`quest ${quest.id} already exists`);
+        }
+        if (problems.length > 0) {
+            throw new Error(`Invalid quest ${quest?.id}: ${problems.join("; ")}`);
+        }
+        
+        this.quests[quest.id] = quest;
+        
+        return quest;
+    }
+    
+    // Status of a quest: "locked" (requirements not claimed), "available",
+    // "active", "complete" (reward waiting) or "claimed"
+    getStatus(id) {
+        const quest = this.quests[id];
+        if (!quest) return null;
+        
+        if (this.progress[id]) return this.progress[id].status;
+        
+        const unlocked = (quest.requires || []).every(requirement =>
+            this.progress[requirement]?.status === "claimed");
+        
+        return unlocked ? "available" : "locked";
+    }
+    
+    // Quests with a given status (all quests if none is given)
+    getQuests(status = null) {
+        return Object.values(this.quests)
+            .filter(quest => !status || this.getStatus(quest.id) === status);
+    }
+    
+    // Start an available quest. Breed quests only count offspring bred
+    // from now on.
+    start(id) {
+        if (this.getStatus(id) !== "available") return false;
+        
+        // checked: crossing history entries already looked at
+        this.progress[id] = {
+            status: "active",
+            checked: this.breeder ? this.breeder.getCrossingHistory().length : 0,
+            count: 0,
+            best: 0
+        };
+        
+        return true;
+    }
+    
+    // Count towards an active quest of a type if the plant meets its goal;
+    // every plant's score is remembered as the best attempt so far
+    recordPlant(type, plant) {
+        const completed = [];
+        
+        this.getQuests("active")
+            .filter(quest => quest.type === type)
+            .forEach(quest => {
+                const progress = this.progress[quest.id];
+                const evaluation = evaluateGoal(plant, quest.goal);
+                
+                progress.best = Math.max(progress.best, evaluation.score);
+                if (!evaluation.complete) return;
+                
+                progress.count++;
+                if (progress.count >= (quest.count || 1)) {
+                    progress.status = "complete";
+                    completed.push(quest);
+                }
+            });
+        
+        return completed;
+    }
+    
+    // Tell the log about a harvested plant (e.g. from the onHarvest hook).
+    // Returns the quests this completed.
+    recordHarvest(plant) {
+        return this.recordPlant("harvest", plant);
+    }
+    
+    // Hand a plant in for a deliver quest. Returns true if it was accepted.
+    deliver(id, plant) {
+        const quest = this.quests[id];
+        if (!quest || quest.type !== "deliver" || this.getStatus(id) !== "active") return false;
+        
+        const progress = this.progress[id];
+        const evaluation = evaluateGoal(plant, quest.goal);
+        
+        progress.best = Math.max(progress.best, evaluation.score);
+        if (!evaluation.complete) return false;
+        
+        progress.count++;
+        if (progress.count >= (quest.count || 1)) progress.status = "complete";
+        
+        return true;
+    }
+    
+    // Check breed quests against the offspring added to the crossing
+    // history since the last check. Returns the quests this completed.
+    update() {
+        const completed = [];
+        if (!this.breeder) return completed;
+        
+        const history = this.breeder.getCrossingHistory();
+        
+        this.getQuests("active")
+            .filter(quest => quest.type === "breed")
+            .forEach(quest => {
+                const progress = this.progress[quest.id];
+                
+                history.slice(progress.checked).forEach(entry => {
+                    // Rebuild the offspring with its lineage, for interactions
+                    // that depend on inbreeding or ancestry
+                    const pedigree = this.breeder.getPedigreeEntry(entry.offspringId);
+                    const offspring = new Plant(entry.offspring, {
+                        id: entry.offspringId || "quest-check",
+                        parents: pedigree ? pedigree.parents : null,
+                        generation: pedigree ? pedigree.generation : 0,
+                        inbreedingCoefficient: entry.inbreedingCoefficient ??
+                            this.breeder.getInbreedingCoefficient(entry.offspringId)
+                    });
+                    const evaluation = evaluateGoal(offspring, quest.goal);
+                    
+                    progress.best = Math.max(progress.best, evaluation.score);
+                    if (evaluation.complete) progress.count++;
+                });
+                
+                progress.checked = history.length;
+                if (progress.count >= (quest.count || 1)) {
+                    progress.status = "complete";
+                    completed.push(quest);
+                }
+            });
+        
+        return completed;
+    }
+    
+    // How far along a quest is: { status, count, needed, best }
+    getProgress(id) {
+        const quest = this.quests[id];
+        if (!quest) return null;
+        
+        const progress = this.progress[id] || { count: 0, best: 0 };
+        
+        return {
+            status: this.getStatus(id),
+            count: progress.count,
+            needed: quest.count || 1,
+            best: progress.best
+        };
+    }
+    
+    // Claim a complete quest's reward. With game (from
+    // initializeGeneticsSystem) the coins and seeds are paid out directly.
+    // Returns the reward, or null if there's nothing to claim.
+    claim(id, game = null) {
+        if (this.getStatus(id) !== "complete") return null;
+        
+        const reward = this.quests[id].reward || {};
+        this.progress[id].status = "claimed";
+        
+        if (game) {
+            game.coins = (game.coins || 0) + (reward.coins || 0);
+            Object.keys(reward.seeds || {}).forEach(geneSequence => {
+                game.genetics.addSeeds(geneSequence, reward.seeds[geneSequence]);
+            });
+        }
+        
+        return reward;
+    }
+    
+    // Plain-object progress of every started quest, for saving
+    getState() {
+        const state = {};
+        
+        Object.keys(this.progress).forEach(id => {
+            state[id] = { ...this.progress[id] };
+        });
+        
+        return state;
+    }
+}
@@ -0,0 +1,61 @@
+// Plant Genetics System
+// Public API of the plant genetics system and the modules built on it. Import
+// it as an ES module in the browser or Node, or require() it from CommonJS
+// through index.cjs. The files in src/ export more helpers for each other;
+// only what is listed here is supported for outside use.
+
+export {
+    GENE_TRAITS,
+    TRAIT_INTERACTIONS,
+    CHROMOSOMES,
+    BUILT_IN_CHROMOSOMES,
+    validateTraitDefinition,
+    registerTrait,
+    registerAlleles,
+    registerBlends,
+    registerTraitInteraction,
+    loadTraitDefinitions,
+    registerChromosome,
+    getGeneLocation,
+    getRecombinationFrequency
+} from "./traits.js";
+export { hashSeed, createSeededRandom } from "./random.js";
+export { EVENT_TYPES, EventBus, geneticsEvents } from "./events.js";
+export { GeneSequenceError, validateGeneSequence } from "./genes.js";
+export { calculateGenePhenotype, matchesTraitCondition, mixHexColors } from "./phenotype.js";
+export { Plant, LIFECYCLE_STAGES } from "./plant.js";
+export { PlantBreeder, MUTAGENS, registerMutagen } from "./breeding.js";
+export {
+    INBREEDING_WARNING,
+    EFFECTIVE_SIZE_WARNING,
+    getAlleleFrequencies,
+    getPhenotypeDistribution,
+    getEffectivePopulationSize,
+    analyzePopulation,
+    getCrossingTrends
+} from "./analytics.js";
+export { Market, BASE_PRICE } from "./market.js";
+export { SeedBank, GERMINATION_RATE, SEED_VIABILITY_HALF_LIFE } from "./seed-bank.js";
+export { SAVE_FORMAT_VERSION, serializeGarden, deserializeGarden } from "./save.js";
+export { encodeSeedCode, decodeSeedCode } from "./seed-codes.js";
+export { createRandomPlant, createStarterPlant } from "./starters.js";
+export { initializeGeneticsSystem } from "./game.js";
+export { SEASONS, GardenEnvironment, getTemperatureGrowthFactor } from "./environment.js";
+export { Garden } from "./garden.js";
+export { describePlantShape, drawPlant, drawPlantRow } from "./renderer.js";
+export {
+    validateGoal,
+    evaluateGoal,
+    rankPlantsForGoal,
+    QUEST_TYPES,
+    BREEDING_QUESTS,
+    validateQuest,
+    QuestLog
+} from "./goals.js";
+export {
+    SIMULATION_DEFAULTS,
+    SIMULATION_STRATEGIES,
+    runBreedingExperiment,
+    runBreedingSimulation,
+    formatBalanceReport
+} from "./simulation.js";
@@ -0,0 +1,166 @@
+// Plant Genetics System: market
+// Prices for harvests and seeds that follow rarity, demand and gluts.
+
+import { GENE_TRAITS } from "./traits.js";
+import { Plant } from "./plant.js";
+
+// ============== MARKET ==============
+
+// Price of a plant with average yield and no rarity or demand effects;
+// what harvests fetch when no market is used
+export const BASE_PRICE = 10;
+
+// Every sale of a variety gluts the market a little; a share of the glut
+// clears each day. Price is divided by (1 + glut).
+const MARKET_SATURATION_PER_SALE = 0.1;
+const MARKET_SATURATION_RECOVERY = 0.2;
+
+// Demand for each phenotype wanders randomly from day to day, pulled back
+// towards 1 and kept within a range
+const MARKET_DEMAND_DRIFT = 0.08;
+const MARKET_DEMAND_REVERSION = 0.1;
+const MARKET_DEMAND_RANGE = { min: 0.5, max: 2 };
+
+// Seeds sell for a share of what their plant would fetch; the market
+// charges a markup when selling them back
+const SEED_PRICE_SHARE = 0.3;
+const SEED_BUY_MARKUP = 1.5;
+
+// Price multiplier from the rarity of a plant's visible qualitative
+// phenotypes (their rarity values multiplied together)
+function getPhenotypeRarity(plant) {
+    return Object.keys(GENE_TRAITS)
+        .filter(key => GENE_TRAITS[key].type === "qualitative")
+        .reduce((product, key) => product * (plant.phenotype[key]?.rarity || 1), 1);
+}
+
+// Name of the variety a plant is sold as, e.g. "Peach Heart Normal"; the
+// market tracks gluts per variety
+function getMarketVariety(plant) {
+    return Object.keys(GENE_TRAITS)
+        .filter(key => GENE_TRAITS[key].type === "qualitative")
+        .map(key => plant.phenotype[key]?.name || "Unknown")
+        .join(" ");
+}
+
+// Prices harvests and trades seeds. Demand is tracked per qualitative
+// phenotype ("FC:Peach"), gluts per variety, seed stock per gene sequence.
+export class Market {
+    // options.random: random source for demand drift (defaults to Math.random)
+    // options.basePrice: price of a standard plant (default BASE_PRICE)
+    // options.demand: starting demand, { "FC:Peach": 1.4 } (default 1)
+    // options.seedStock: seeds the market starts with, { geneSequence: count }
+    constructor(options = {}) {
+        this.random = options.random || Math.random;
+        this.basePrice = options.basePrice || BASE_PRICE;
+        this.demand = { ...options.demand };
+        this.saturation = {}; // Variety -> glut from recent sales
+        this.seedStock = {}; // Normalized gene sequence -> seed count
+        this.day = 0;
+        
+        Object.keys(options.seedStock || {}).forEach(geneSequence => {
+            this.sellSeeds(geneSequence, options.seedStock[geneSequence]);
+        });
+    }
+    
+    // Demand multiplier for a plant: the demand for each of its visible
+    // qualitative phenotypes multiplied together
+    getDemand(plant) {
+        return Object.keys(GENE_TRAITS)
+            .filter(key => GENE_TRAITS[key].type === "qualitative" && plant.phenotype[key])
+            .reduce((product, key) => product * (this.demand[`${key}:${plant.phenotype[key].name}`] ?? 1), 1);
+    }
+    
+    // What a harvest of a plant sells for right now
+    getPrice(plant) {
+        const yieldMultiplier = plant.phenotype.YD?.effectiveCoinMultiplier || 1.0;
+        const glut = this.saturation[getMarketVariety(plant)] || 0;
+        const price = this.basePrice * yieldMultiplier * getPhenotypeRarity(plant) * this.getDemand(plant) / (1 + glut);
+        
+        return Math.max(1, Math.round(price));
+    }
+    
+    // Sell a plant's harvest: returns the coins and gluts its variety
+    sell(plant) {
+        const price = this.getPrice(plant);
+        const variety = getMarketVariety(plant);
+        
+        this.saturation[variety] = (this.saturation[variety] || 0) + MARKET_SATURATION_PER_SALE;
+        
+        return price;
+    }
+    
+    // Price of one seed of a gene sequence; options.buying for the price
+    // the market charges rather than pays
+    getSeedPrice(geneSequence, options = {}) {
+        const plant = new Plant(geneSequence, { id: "market-quote" });
+        const price = this.getPrice(plant) * SEED_PRICE_SHARE * (options.buying ? SEED_BUY_MARKUP : 1);
+        
+        return Math.max(1, Math.round(price));
+    }
+    
+    // Gene sequence in the form seed stock is kept under (as saves do)
+    normalizeSequence(geneSequence) {
+        return new Plant(geneSequence, { id: "market-quote" }).toGeneSequence();
+    }
+    
+    // Seeds of a gene sequence the market has for sale
+    getSeedStock(geneSequence) {
+        return this.seedStock[this.normalizeSequence(geneSequence)] || 0;
+    }
+    
+    // Sell seeds to the market: returns the coins paid
+    sellSeeds(geneSequence, count = 1) {
+        if (count <= 0) return 0;
+        
+        geneSequence = this.normalizeSequence(geneSequence);
+        this.seedStock[geneSequence] = this.getSeedStock(geneSequence) + count;
+        
+        return this.getSeedPrice(geneSequence) * count;
+    }
+    
+    // Buy seeds from the market: returns the cost, or null when the market
+    // doesn't have that many. Checking the buyer can pay is up to the caller.
+    buySeeds(geneSequence, count = 1) {
+        if (count <= 0 || this.getSeedStock(geneSequence) < count) return null;
+        
+        const cost = this.getSeedPrice(geneSequence, { buying: true }) * count;
+        
+        geneSequence = this.normalizeSequence(geneSequence);
+        this.seedStock[geneSequence] -= count;
+        if (this.seedStock[geneSequence] === 0) {
+            delete this.seedStock[geneSequence];
+        }
+        
+        return cost;
+    }
+    
+    // Move to the next day: demand drifts and gluts clear
+    advanceDay() {
+        this.day++;
+        
+        // Make sure every known phenotype has a demand to drift
+        Object.keys(GENE_TRAITS).forEach(key => {
+            const trait = GENE_TRAITS[key];
+            if (trait.type !== "qualitative") return;
+            
+            Object.values(trait.alleles).concat(Object.values(trait.blendMap || {})).forEach(phenotype => {
+                const demandKey = `${key}:${phenotype.name}`;
+                if (this.demand[demandKey] === undefined) this.demand[demandKey] = 1;
+            });
+        });
+        
+        Object.keys(this.demand).sort().forEach(demandKey => {
+            const demand = this.demand[demandKey];
+            const drifted = demand + (1 - demand) * MARKET_DEMAND_REVERSION +
+                (this.random() * 2 - 1) * MARKET_DEMAND_DRIFT;
+            
+            this.demand[demandKey] = Math.min(MARKET_DEMAND_RANGE.max, Math.max(MARKET_DEMAND_RANGE.min, drifted));
+        });
+        
+        Object.keys(this.saturation).forEach(variety => {
+            this.saturation[variety] *= 1 - MARKET_SATURATION_RECOVERY;
+            if (this.saturation[variety] < 0.001) delete this.saturation[variety];
+        });
+    }
+}
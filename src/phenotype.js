@@ -0,0 +1,178 @@
+// Plant Genetics System: phenotypes
+// Turns a gene's alleles into its phenotype: dominance, blending,
+// codominance and epistasis.
+
+import { GENE_TRAITS } from "./traits.js";
+import { getQuantitativeGeneValue, interpolateValueMap, roundToTraitStep } from "./genes.js";
+
+// ============== PHENOTYPE CALCULATION ==============
+
+// Mix two "#RRGGBB" colours; t is the share of the second
+export function mixHexColors(colorA, colorB, t) {
+    const channels = color => [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    const a = channels(colorA);
+    const b = channels(colorB);
+    
+    return "#" + a.map((channel, i) => Math.round(channel + (b[i] - channel) * t)
+        .toString(16)
+        .padStart(2, "0")
+        .toUpperCase()).join("");
+}
+
+// Phenotype of a heterozygous qualitative gene without a blend, following
+// the trait's expression settings (see EXPRESSION_MODES). Alleles are taken
+// in declaration order, so "12" and "21" always look the same.
+function expressHeterozygote(trait, alleleKeyA, alleleKeyB) {
+    const order = Object.keys(trait.alleles);
+    const alleleA = trait.alleles[alleleKeyA];
+    const alleleB = trait.alleles[alleleKeyB];
+    
+    if (!alleleA || !alleleB) {
+        return trait.alleles[order[0]];
+    }
+    
+    const [first, second] = order.indexOf(alleleKeyA) <= order.indexOf(alleleKeyB) ?
+        [alleleA, alleleB] :
+        [alleleB, alleleA];
+    const expression = trait.expression || {};
+    const mode = expression.mode || "complete";
+    
+    if (mode === "incomplete") {
+        // Weight each allele by its dominance along the steepness curve
+        const steepness = expression.steepness || 1;
+        const weightFirst = Math.pow(Math.max(0, first.dominance), steepness);
+        const weightSecond = Math.pow(Math.max(0, second.dominance), steepness);
+        const share = weightFirst + weightSecond > 0 ? weightSecond / (weightFirst + weightSecond) : 0.5;
+        const isColor = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        
+        let value;
+        if (isColor(first.value) && isColor(second.value)) {
+            value = mixHexColors(first.value, second.value, share);
+        } else if (typeof first.value === 'number' && typeof second.value === 'number') {
+            value = first.value + (second.value - first.value) * share;
+        } else {
+            value = share > 0.5 ? second.value : first.value;
+        }
+        
+        return {
+            name: `${first.name}-${second.name}`,
+            value,
+            dominance: Math.max(first.dominance, second.dominance),
+            rarity: Math.max(first.rarity || 1, second.rarity || 1),
+            share
+        };
+    }
+    
+    if (mode === "complete" && first.dominance !== second.dominance) {
+        return first.dominance > second.dominance ? first : second;
+    }
+    
+    // Codominance: both alleles show side by side
+    return {
+        name: `${first.name}/${second.name}`,
+        value: first.value,
+        values: [first.value, second.value],
+        dominance: first.dominance,
+        rarity: Math.max(first.rarity || 1, second.rarity || 1),
+        pattern: expression.pattern || "mixed",
+        codominant: true
+    };
+}
+
+// Apply every trait's epistasis rules to a phenotype: a masked trait becomes
+// just the rule's properties (nothing of the masked expression, such as its
+// colours or pattern, shows through) and keeps what it would have been in
+// `hidden`
+export function applyEpistasis(phenotype) {
+    Object.keys(GENE_TRAITS).forEach(key => {
+        (GENE_TRAITS[key].epistasis || []).forEach(rule => {
+            const masked = phenotype[rule.masks];
+            
+            if (!masked || !matchesTraitCondition(phenotype[key], rule.when)) return;
+            
+            phenotype[rule.masks] = { ...rule.phenotype, maskedBy: key, hidden: masked };
+        });
+    });
+    
+    return phenotype;
+}
+
+// Work out the phenotype of a single gene (before trait interactions)
+export function calculateGenePhenotype(key, value) {
+    const gene = GENE_TRAITS[key];
+    let result;
+    
+    if (!gene) return undefined;
+    
+    // Handle different types of traits
+    if (gene.type === "qualitative") {
+        // For qualitative traits, check for blend or dominant allele
+        if (value[0] === value[1]) {
+            // Homozygous - use the allele's value
+            result = gene.alleles[value[0]];
+        } else {
+            // Heterozygous - check for blending
+            const sortedAlleles = [value[0], value[1]].sort().join("");
+            
+            if (gene.blendMap && gene.blendMap[sortedAlleles]) {
+                // Use the pre-defined blend
+                result = gene.blendMap[sortedAlleles];
+            } else {
+                // Otherwise the trait's expression mode decides
+                result = expressHeterozygote(gene, value[0], value[1]);
+            }
+        }
+    } else if (gene.type === "quantitative") {
+        // For quantitative traits, alleles act additively: the
+        // value is the mean over both alleles of every locus
+        let numericValue = roundToTraitStep(gene, getQuantitativeGeneValue(gene, value));
+        
+        // Clamp to valid range
+        numericValue = Math.max(gene.min, Math.min(gene.max, numericValue));
+        
+        // Set the value and map to the corresponding properties
+        result = {
+            value: numericValue,
+            ...interpolateValueMap(gene, numericValue)
+        };
+    }
+    
+    return result;
+}
+
+// Check one gene's phenotype against a condition. Conditions are a name or
+// value string ("Purple", "heart"), an exact number, a range object
+// ({ gte: 4, lt: 5 }, or { in: ["Red", "Pink"] }) or a function(phenotype).
+export function matchesTraitCondition(phenotype, condition) {
+    if (!phenotype) return false;
+    
+    if (typeof condition === 'function') {
+        return !!condition(phenotype);
+    }
+    
+    if (typeof condition === 'string') {
+        const wanted = condition.toLowerCase();
+        return (typeof phenotype.name === 'string' && phenotype.name.toLowerCase() === wanted) ||
+            String(phenotype.value).toLowerCase() === wanted;
+    }
+    
+    if (typeof condition === 'number') {
+        return phenotype.value === condition;
+    }
+    
+    if (condition && typeof condition === 'object') {
+        const value = phenotype.value;
+        
+        if (condition.in !== undefined &&
+            !condition.in.some(option => matchesTraitCondition(phenotype, option))) return false;
+        if (condition.eq !== undefined && !matchesTraitCondition(phenotype, condition.eq)) return false;
+        if (condition.gt !== undefined && !(value > condition.gt)) return false;
+        if (condition.gte !== undefined && !(value >= condition.gte)) return false;
+        if (condition.lt !== undefined && !(value < condition.lt)) return false;
+        if (condition.lte !== undefined && !(value <= condition.lte)) return false;
+        
+        return true;
+    }
+    
+    return false;
+}
@@ -0,0 +1,516 @@
+// Plant Genetics System: plants
+// The Plant class: phenotype, life cycle, daily updates and harvests.
+
+import { GENE_TRAITS, TRAIT_INTERACTIONS } from "./traits.js";
+import { GeneSequenceError, getDefaultGeneValue, validateGeneSequence } from "./genes.js";
+import { applyEpistasis, calculateGenePhenotype } from "./phenotype.js";
+import { BASE_PRICE } from "./market.js";
+import {
+    checkSaveVersion,
+    createPlantFromState,
+    getPlantState,
+    getTraitSchema,
+    SAVE_FORMAT_VERSION
+} from "./save.js";
+import { decodeSeedCode, encodeSeedCode } from "./seed-codes.js";
+import { geneticsEvents } from "./events.js";
+
+// ============== PLANT CLASS ==============
+
+// Plant IDs are handed out in creation order, so a seeded session
+// produces the same IDs every time it is replayed
+let plantIdCounter = 0;
+
+function generatePlantId() {
+    plantIdCounter++;
+    return `plant-${plantIdCounter}`;
+}
+
+// Make sure generated IDs never repeat one that was loaded from a save
+export function reservePlantId(id) {
+    const match = /^plant-(\d+)$/.exec(id || "");
+    
+    if (match) {
+        plantIdCounter = Math.max(plantIdCounter, parseInt(match[1], 10));
+    }
+}
+
+// Life stages in order. Growing stages start at a growth progress (%);
+// senescence comes after a ripe plant waits too long for harvest. Death is
+// the end of the plant: either its health ran out (with a died event) or it
+// was an annual and got harvested (with a harvested event, no died event).
+// waterSensitivity and pestSensitivity scale drought damage and the chance
+// of pest damage.
+export const LIFECYCLE_STAGES = [
+    { name: "seed", from: null, waterSensitivity: 0, pestSensitivity: 0 },
+    { name: "germination", from: 0, waterSensitivity: 1.5, pestSensitivity: 0.5 },
+    { name: "seedling", from: 10, waterSensitivity: 1.3, pestSensitivity: 1.5 },
+    { name: "vegetative", from: 25, waterSensitivity: 1.0, pestSensitivity: 1.0 },
+    { name: "flowering", from: 60, waterSensitivity: 1.2, pestSensitivity: 1.2 },
+    { name: "fruiting", from: 85, waterSensitivity: 1.0, pestSensitivity: 0.8 },
+    { name: "senescence", from: null, waterSensitivity: 0.5, pestSensitivity: 1.5 },
+    { name: "death", from: null, waterSensitivity: 0, pestSensitivity: 0 }
+];
+
+// Days a ripe plant keeps before it starts to senesce, and the health it
+// loses each day after that
+const SENESCENCE_DELAY = 5;
+const SENESCENCE_DECAY = 10;
+
+// Stage definition by name
+function getLifecycleStage(name) {
+    return LIFECYCLE_STAGES.find(stage => stage.name === name) || LIFECYCLE_STAGES[0];
+}
+
+// Growing stage for a growth progress (0-100%)
+export function getStageForProgress(progress) {
+    let current = "germination";
+    
+    LIFECYCLE_STAGES.forEach(stage => {
+        if (stage.from !== null && progress >= stage.from) {
+            current = stage.name;
+        }
+    });
+    
+    return current;
+}
+
+// Plant class to hold a plant instance with its genes and phenotype
+export class Plant {
+    // options.random: random source used for growth and harvest rolls
+    // (defaults to Math.random; pass createSeededRandom(seed) for replays)
+    // options.strict: throw a GeneSequenceError for an invalid sequence
+    // instead of repairing it
+    // options.id / parents / generation / inbreedingCoefficient: pedigree
+    // data, filled in by PlantBreeder for offspring
+    // options.perennial: regrow after harvest instead of dying
+    constructor(geneSequence = null, options = {}) {
+        this.random = options.random || Math.random;
+        this.events = options.events || geneticsEvents; // EventBus the plant reports to
+        
+        // Identity and lineage
+        this.id = options.id || generatePlantId();
+        reservePlantId(this.id);
+        this.parents = options.parents || null; // [parentAId, parentBId] or null for founders
+        this.generation = options.generation || 0;
+        this.inbreedingCoefficient = options.inbreedingCoefficient || 0;
+        
+        // Initialize with default genes if no sequence provided
+        this.genes = this.parseGeneSequence(
+            geneSequence || this.generateDefaultGeneSequence(),
+            { strict: options.strict }
+        );
+        this.phenotype = this.calculatePhenotype();
+        this.progress = 0; // Growth progress (0-100%)
+        this.health = 100; // Plant health
+        this.ready = false; // Ready to harvest
+        this.watered = true; // Currently watered
+        
+        // Life cycle
+        this.stage = "seed"; // One of LIFECYCLE_STAGES
+        this.perennial = !!options.perennial;
+        this.daysRipe = 0; // Days spent ready to harvest
+        this.harvestCount = 0;
+    }
+
+    // Parse a gene sequence string like "FC:RB-SZ:3-LS:1-YD:4-RS:2".
+    // Lenient by default: problems are repaired (see validateGeneSequence).
+    // With options.strict, any problem throws a GeneSequenceError instead.
+    parseGeneSequence(sequence, options = {}) {
+        const result = validateGeneSequence(sequence);
+        
+        if (options.strict && !result.valid) {
+            throw new GeneSequenceError(result.problems);
+        }
+        
+        return result.genes;
+    }
+    
+    // Generate a default gene sequence with all traits
+    generateDefaultGeneSequence() {
+        const segments = [];
+        
+        Object.keys(GENE_TRAITS).forEach(key => {
+            segments.push(`${key}:${getDefaultGeneValue(GENE_TRAITS[key])}`);
+        });
+        
+        return segments.join('-');
+    }
+    
+    // Convert the genotype (genes) to phenotype (observable traits)
+    calculatePhenotype() {
+        const phenotype = {};
+        
+        // Process each gene to determine its effect
+        Object.keys(this.genes).forEach(key => {
+            const value = this.genes[key];
+            
+            if (!GENE_TRAITS[key]) return;
+            
+            phenotype[key] = calculateGenePhenotype(key, value);
+        });
+        
+        // Genes that mask others (like albinism over flower colour)
+        applyEpistasis(phenotype);
+        
+        // Calculate derived traits with interactions
+        this.calculateTraitInteractions(phenotype);
+        
+        return phenotype;
+    }
+    
+    // Calculate how traits interact with each other, using the rules
+    // registered in TRAIT_INTERACTIONS (in registration order)
+    calculateTraitInteractions(phenotype) {
+        TRAIT_INTERACTIONS.forEach(rule => rule.apply(phenotype, this.genes, this));
+    }
+    
+    // Convert genes back to a gene sequence string, in GENE_TRAITS order
+    toGeneSequence() {
+        const segments = [];
+        
+        Object.keys(GENE_TRAITS).forEach(key => {
+            if (this.genes[key] !== undefined) segments.push(`${key}:${this.genes[key]}`);
+        });
+        
+        return segments.join('-');
+    }
+    
+    // Short shareable seed code for this plant's genes (see encodeSeedCode)
+    toSeedCode(options = {}) {
+        return encodeSeedCode(this, options);
+    }
+    
+    // Create a plant from a seed code; throws if the code is invalid
+    static fromSeedCode(code, options = {}) {
+        return new Plant(decodeSeedCode(code), options);
+    }
+    
+    // Versioned JSON-ready snapshot of the plant, including growth state
+    serialize() {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            traits: getTraitSchema(),
+            plant: getPlantState(this)
+        };
+    }
+    
+    // Rebuild a plant from serialize() output, migrating its genes if the
+    // trait definitions changed since it was saved
+    static deserialize(data, options = {}) {
+        checkSaveVersion(data, "plant");
+        
+        return createPlantFromState(data.plant, data.traits, options);
+    }
+    
+    // Get basic info about the plant for UI display
+    // options.market: Market that prices the plant (otherwise BASE_PRICE
+    // scaled by yield)
+    getInfo(options = {}) {
+        // Calculate maturity time based on growth rate
+        const daysToMature = this.phenotype.GR?.daysToMature || 10;
+        
+        // Flower color for display
+        let flowerColorName = "Unknown";
+        let flowerColorValue = "#FFFFFF";
+        
+        if (this.phenotype.FC) {
+            flowerColorName = this.phenotype.FC.name;
+            flowerColorValue = this.phenotype.FC.value;
+        }
+        
+        // Leaf shape for display
+        let leafShapeName = "Unknown";
+        
+        if (this.phenotype.LS) {
+            leafShapeName = this.phenotype.LS.name;
+        }
+        
+        // Calculate expected sell price
+        const yieldMultiplier = this.phenotype.YD?.effectiveCoinMultiplier || 1.0;
+        const sellPrice = options.market ?
+            options.market.getPrice(this) :
+            Math.round(BASE_PRICE * yieldMultiplier);
+        
+        return {
+            name: `${flowerColorName} ${leafShapeName} Plant`,
+            flowerColor: flowerColorValue,
+            leafShape: this.phenotype.LS?.value || "oval",
+            size: this.phenotype.SZ?.value || 3,
+            growthDays: daysToMature,
+            waterNeeds: this.phenotype.WN?.effectiveWaterPerDay || 20,
+            resistance: Math.round((1 - (this.phenotype.RS?.effectivePestDamageChance || 0.2)) * 100),
+            sellPrice: sellPrice,
+            // Visual representation
+            emoji: this.getEmoji(),
+            growth: this.progress,
+            stage: this.stage,
+            isReady: this.ready
+        };
+    }
+    
+    // Get appropriate emoji based on flower color
+    getEmoji() {
+        if (!this.phenotype.FC) return "🌱";
+        
+        // Map colors to appropriate emoji
+        const colorName = this.phenotype.FC.name.toLowerCase();
+        
+        const emojiMap = {
+            "red": "🌹",
+            "blue": "🌸",
+            "yellow": "🌻",
+            "white": "🌼",
+            "pink": "🌷",
+            "purple": "💐",
+            "orange": "🌺",
+            "green": "🌿",
+            "light red": "🌹",
+            "light blue": "🌸",
+            "light yellow": "🌼",
+            "deep pink": "🌷",
+            "peach": "🌺",
+            "midnight": "🥀",
+            "gold": "🏵️",
+            "albino": "🌼"
+        };
+        
+        // Codominant flowers ("midnight/gold") show their first colour
+        return emojiMap[colorName] || emojiMap[colorName.split("/")[0]] || "🌱";
+    }
+    
+    // Build the result of a day's update and announce it on the event bus.
+    // stageChange is { from, to } when the plant moved to another life
+    // stage, otherwise null. cause is what killed a plant that died.
+    createUpdateResult(event, previousStage, cause = null) {
+        const stageChange = previousStage !== this.stage ? { from: previousStage, to: this.stage } : null;
+        
+        if (stageChange) {
+            this.events.emit("stageChanged", { plant: this, ...stageChange });
+        }
+        if (event === "matured") {
+            this.events.emit("matured", { plant: this });
+        } else if (event === "died") {
+            this.events.emit("died", { plant: this, cause });
+        }
+        
+        return {
+            event,
+            stage: this.stage,
+            stageChange
+        };
+    }
+    
+    // Lose health (never below 0) and report it as damaged. Returns the
+    // health actually lost.
+    takeDamage(amount, cause) {
+        const lost = Math.min(amount, Math.max(0, this.health));
+        if (lost <= 0) return 0;
+        
+        this.health -= lost;
+        this.events.emit("damaged", { plant: this, amount: lost, cause, health: this.health });
+        
+        return lost;
+    }
+    
+    // Update plant growth based on game conditions. environment is optional
+    // extra context from a simulator such as GardenEnvironment:
+    // { growthFactor } scales the day's growth (season and temperature)
+    // Returns { event, stage, stageChange } where event is "growing",
+    // "matured", "ripe", "senescing" or "died"; dead plants return nothing.
+    update(waterLevel = 100, pestPresent = false, weatherEvent = null, environment = {}) {
+        // Dead plants don't change any more
+        if (this.stage === "death") return;
+        
+        const previousStage = this.stage;
+        let cause = null; // Latest damage, blamed if the plant dies
+        const damage = (amount, damageCause) => {
+            if (this.takeDamage(amount, damageCause) > 0) cause = damageCause;
+        };
+        
+        // Ripe plants wait for harvest, and go past their best if left too long
+        if (this.ready) {
+            this.daysRipe++;
+            
+            if (this.daysRipe > SENESCENCE_DELAY) {
+                this.stage = "senescence";
+                damage(SENESCENCE_DECAY, "senescence");
+            }
+            
+            if (this.health <= 0) {
+                this.stage = "death";
+                return this.createUpdateResult("died", previousStage, cause);
+            }
+            
+            return this.createUpdateResult(this.stage === "senescence" ? "senescing" : "ripe", previousStage);
+        }
+        
+        // Sensitivity of the stage the plant is in today (seeds count as germinating)
+        const stageDefinition = getLifecycleStage(
+            this.stage === "seed" ? getStageForProgress(this.progress) : this.stage
+        );
+        
+        // Base growth per day (1-10%)
+        let growthIncrement = 10;
+        
+        // Seasonal/temperature effect on growth
+        if (typeof environment.growthFactor === 'number') {
+            growthIncrement *= environment.growthFactor;
+        }
+        
+        // Apply growth rate modifier
+        if (this.phenotype.GR) {
+            growthIncrement *= (this.phenotype.GR.effectiveValue || this.phenotype.GR.value);
+        }
+        
+        // Water effect (if below water needs)
+        const waterNeeds = this.phenotype.WN?.effectiveWaterPerDay || 20;
+        if (waterLevel < waterNeeds) {
+            // Reduce growth if under-watered
+            const waterRatio = waterLevel / waterNeeds;
+            growthIncrement *= waterRatio;
+            
+            // Reduce health if severely under-watered
+            if (waterRatio < 0.5) {
+                damage((1 - waterRatio) * 5 * stageDefinition.waterSensitivity, "water");
+            }
+            
+            this.watered = false;
+        } else {
+            if (!this.watered) {
+                this.events.emit("watered", { plant: this, waterLevel, waterNeeds });
+            }
+            
+            this.watered = true;
+        }
+        
+        // Pest damage
+        if (pestPresent) {
+            const damageChance = Math.min(1,
+                (this.phenotype.RS?.effectivePestDamageChance || 0.2) * stageDefinition.pestSensitivity);
+            
+            if (this.random() < damageChance) {
+                // Reduce growth and health
+                growthIncrement *= 0.5;
+                damage(10, "pests");
+            }
+        }
+        
+        // Weather effects
+        if (weatherEvent) {
+            const weatherDamageChance = this.phenotype.RS?.weatherDamageChance || 0.2;
+            
+            if (weatherEvent === "drought") {
+                // Drought affects plants based on water needs
+                const droughtResistance = this.phenotype.WN?.droughtResistance || 0.5;
+                
+                if (this.random() > droughtResistance) {
+                    growthIncrement *= 0.3;
+                    damage(15, "drought");
+                }
+            } else if (weatherEvent === "storm") {
+                // Storms affect plants based on size and resistance
+                const size = this.phenotype.SZ?.value || 3;
+                // Larger plants are more vulnerable to storms
+                const stormVulnerability = size / 5;
+                
+                if (this.random() < (weatherDamageChance * stormVulnerability)) {
+                    growthIncrement = 0;
+                    damage(20, "storm");
+                }
+            } else if (weatherEvent === "heatwave") {
+                // Heat stress is resisted like drought, but hurts less
+                const droughtResistance = this.phenotype.WN?.droughtResistance || 0.5;
+                
+                if (this.random() > droughtResistance) {
+                    growthIncrement *= 0.5;
+                    damage(10, "heatwave");
+                }
+            } else if (weatherEvent === "frost") {
+                // Frost depends on resistance alone
+                if (this.random() < weatherDamageChance) {
+                    growthIncrement = 0;
+                    damage(15, "frost");
+                }
+            }
+        }
+        
+        // Apply growth
+        this.progress += growthIncrement;
+        
+        // Cap progress at 100%
+        if (this.progress >= 100) {
+            this.progress = 100;
+            this.ready = true;
+        }
+        
+        // Cap health at 0-100
+        this.health = Math.max(0, Math.min(100, this.health));
+        
+        // If health reaches 0, plant dies
+        if (this.health <= 0) {
+            this.health = 0;
+            this.stage = "death";
+            return this.createUpdateResult("died", previousStage, cause);
+        }
+        
+        this.stage = getStageForProgress(this.progress);
+        
+        // Return ready state if the plant just matured
+        if (this.ready) {
+            return this.createUpdateResult("matured", previousStage);
+        }
+        
+        return this.createUpdateResult("growing", previousStage);
+    }
+    
+    // Harvest the plant and get rewards
+    // options.market: Market the crop is sold on; its price (which drops a
+    // little with every sale) replaces BASE_PRICE scaled by yield
+    harvest(options = {}) {
+        if (!this.ready) {
+            return { success: false, message: "Plant not ready for harvest" };
+        }
+        
+        // Calculate rewards based on yield
+        const yieldMultiplier = this.phenotype.YD?.effectiveCoinMultiplier || 1.0;
+        const coins = options.market ?
+            options.market.sell(this) :
+            Math.round(BASE_PRICE * yieldMultiplier);
+        
+        // Calculate seed rewards
+        const seedChance = this.phenotype.YD?.seedChance || 0.5;
+        const seeds = this.random() < seedChance ? 1 : 0;
+        
+        const message = `Harvested ${this.getInfo().name} for ${coins} coins and ${seeds} seeds!`;
+        
+        // Perennials drop back to vegetative growth and fruit again;
+        // annuals are spent once harvested
+        const previousStage = this.stage;
+        this.ready = false;
+        this.daysRipe = 0;
+        this.harvestCount++;
+        
+        if (this.perennial) {
+            this.stage = "vegetative";
+            this.progress = getLifecycleStage("vegetative").from;
+        } else {
+            this.stage = "death";
+        }
+        
+        this.events.emit("stageChanged", { plant: this, from: previousStage, to: this.stage });
+        this.events.emit("harvested", { plant: this, coins, seeds, regrows: this.perennial });
+        
+        return {
+            success: true,
+            rewards: {
+                coins: coins,
+                seeds: seeds,
+                geneSequence: this.toGeneSequence() // Return the gene sequence for breeding
+            },
+            regrows: this.perennial,
+            stageChange: { from: previousStage, to: this.stage },
+            message
+        };
+    }
+}
@@ -0,0 +1,41 @@
+// Plant Genetics System: random numbers
+// Seeded random sources, so plants, crosses and simulations can be replayed.
+
+// ============== RANDOM NUMBER GENERATION ==============
+
+// Turn a seed (number or string such as a "daily seed" date) into a 32-bit integer
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) {
+        return seed >>> 0;
+    }
+    
+    // FNV-1a hash of the string form of the seed
+    const text = String(seed);
+    let hash = 2166136261;
+    
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    
+    return hash >>> 0;
+}
+
+// Create a seedable random source (mulberry32) with the same contract as
+// Math.random: each call returns a float in [0, 1). The same seed always
+// produces the same stream, so breeding and growth can be replayed exactly.
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    
+    const random = function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    
+    random.seed = seed;
+    
+    return random;
+}
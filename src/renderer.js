@@ -0,0 +1,246 @@
+// Plant Genetics System: renderer
+// Draws plants onto a 2D canvas (such as the <canvas id="canvas"> from
+// index.html). Each plant's shape comes from its phenotype: size (SZ),
+// branching (BP), leaf shape (LS), flower colour (FC), growth progress and
+// life stage.
+
+import { createSeededRandom } from "./random.js";
+
+// ============== L-SYSTEM ==============
+
+// Rewriting rules by number of branches (BP.branches).
+// F: grow a stem segment, L: leaf, + / -: turn, [ ]: start / end a branch
+const BRANCHING_RULES = {
+    1: "F[+L]F[-L]F",
+    2: "F[+FL]F[-FL]F",
+    3: "F[+FL][-FL]F[+L]F"
+};
+
+// Leaf angle used when a plant doesn't branch (BP angle 0)
+const LEAF_ANGLE = 45;
+
+// Stem colour, and leaf colours: leaves shift from green to yellow as
+// health drops, then brown and grey as the plant dies back
+const STEM_COLOR = "#4A7A2C";
+const LEAF_COLOR_HEALTHY = [76, 153, 60];
+const LEAF_COLOR_SICK = [190, 170, 70];
+const LEAF_COLOR_SENESCENT = [150, 110, 60];
+const LEAF_COLOR_DEAD = [120, 110, 100];
+
+// Number of rewriting rounds for a growth progress: young plants are simple
+function getIterationsForProgress(progress) {
+    if (progress <= 0) return 0;
+    return Math.min(3, 1 + Math.floor(progress / 34));
+}
+
+// Expand the L-system for a plant's branching pattern
+function expandPlantLSystem(branches, iterations) {
+    const rule = BRANCHING_RULES[branches] || BRANCHING_RULES[1];
+    let sentence = iterations > 0 ? "F" : "";
+    
+    for (let i = 0; i < iterations; i++) {
+        sentence = sentence.replace(/F/g, rule);
+    }
+    
+    return sentence;
+}
+
+// Number of stem segments on the main stem (outside any branch)
+function countMainStemSegments(sentence) {
+    let depth = 0;
+    let count = 0;
+    
+    for (const symbol of sentence) {
+        if (symbol === "[") depth++;
+        else if (symbol === "]") depth--;
+        else if (symbol === "F" && depth === 0) count++;
+    }
+    
+    return count;
+}
+
+// Everything needed to draw a plant, worked out from its phenotype.
+// The jitter comes from a random source seeded with the plant's genes, so a
+// plant always looks the same and siblings with the same genes look alike.
+export function describePlantShape(plant) {
+    const phenotype = plant.phenotype;
+    const branches = phenotype.BP?.branches || 1;
+    const stage = plant.stage || (plant.ready ? "fruiting" : "vegetative");
+    
+    return {
+        sentence: expandPlantLSystem(branches, getIterationsForProgress(plant.progress)),
+        angle: phenotype.BP?.angle || 0,
+        scale: phenotype.SZ?.scale || 1,
+        leafShape: phenotype.LS?.value || "oval",
+        flowerColor: phenotype.FC?.value || "#FFFFFF",
+        flowerColors: phenotype.FC?.values || [phenotype.FC?.value || "#FFFFFF"],
+        growth: Math.max(0, Math.min(100, plant.progress)) / 100,
+        stage,
+        health: plant.health,
+        showFlowers: stage === "flowering" || stage === "fruiting" || plant.ready,
+        showFruit: stage === "fruiting" || plant.ready,
+        random: createSeededRandom(plant.toGeneSequence())
+    };
+}
+
+// ============== DRAWING ==============
+
+// Blend two RGB colours
+function mixColor(a, b, t) {
+    const channel = i => Math.round(a[i] + (b[i] - a[i]) * t);
+    return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+}
+
+// Leaf colour for a plant's health and stage
+function getLeafColor(shape) {
+    if (shape.stage === "death") return mixColor(LEAF_COLOR_SENESCENT, LEAF_COLOR_DEAD, 1);
+    if (shape.stage === "senescence") return mixColor(LEAF_COLOR_SENESCENT, LEAF_COLOR_DEAD, 1 - shape.health / 100);
+    
+    return mixColor(LEAF_COLOR_HEALTHY, LEAF_COLOR_SICK, 1 - shape.health / 100);
+}
+
+// Draw one leaf pointing along the current direction (up in local space)
+function drawLeaf(ctx, leafShape, size, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    
+    if (leafShape === "heart") {
+        // Two lobes meeting at a notch, tapering to a tip
+        ctx.moveTo(0, 0);
+        ctx.bezierCurveTo(-size * 0.9, -size * 0.3, -size * 0.6, -size * 1.1, 0, -size * 0.8);
+        ctx.bezierCurveTo(size * 0.6, -size * 1.1, size * 0.9, -size * 0.3, 0, 0);
+    } else if (leafShape === "pointed") {
+        // Long narrow blade
+        ctx.moveTo(0, 0);
+        ctx.quadraticCurveTo(-size * 0.3, -size * 0.6, 0, -size * 1.4);
+        ctx.quadraticCurveTo(size * 0.3, -size * 0.6, 0, 0);
+    } else {
+        // Oval
+        ctx.ellipse(0, -size * 0.5, size * 0.35, size * 0.5, 0, 0, Math.PI * 2);
+    }
+    
+    ctx.fill();
+}
+
+// Draw a flower: petals in the flower colour around a yellow centre.
+// colors is a list; codominant flowers alternate their colours petal by petal.
+function drawFlower(ctx, size, colors, petals) {
+    for (let i = 0; i < petals; i++) {
+        const angle = (i / petals) * Math.PI * 2;
+        ctx.fillStyle = colors[i % colors.length];
+        ctx.beginPath();
+        ctx.ellipse(Math.cos(angle) * size * 0.5, Math.sin(angle) * size * 0.5,
+            size * 0.45, size * 0.25, angle, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    ctx.fillStyle = "#F2C94C";
+    ctx.beginPath();
+    ctx.arc(0, 0, size * 0.25, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+// Draw a plant standing at (x, y) on the ground. options.height is the
+// height in pixels of a fully grown size-1.0 plant (default 120).
+export function drawPlant(ctx, plant, x, y, options = {}) {
+    const shape = describePlantShape(plant);
+    const height = (options.height || 120) * shape.scale;
+    
+    ctx.save();
+    ctx.translate(x, y);
+    
+    // Seeds are just a seed in the soil
+    if (!shape.sentence) {
+        ctx.fillStyle = "#8B5A2B";
+        ctx.beginPath();
+        ctx.ellipse(0, -3, 4, 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+        return;
+    }
+    
+    // Segment length so the main stem reaches the grown height
+    const stemSegments = countMainStemSegments(shape.sentence);
+    const segmentLength = (height * (0.2 + 0.8 * shape.growth)) / Math.max(1, stemSegments);
+    const leafSize = segmentLength * 0.6 * (0.6 + 0.4 * shape.growth);
+    const leafColor = getLeafColor(shape);
+    const branchAngle = ((shape.angle || LEAF_ANGLE) * Math.PI) / 180;
+    
+    // Branches of dead and senescent plants sag outwards
+    const droop = shape.stage === "death" ? 0.6 : shape.stage === "senescence" ? 0.25 : 0;
+    
+    ctx.strokeStyle = shape.stage === "death" ? "#6B6259" : STEM_COLOR;
+    ctx.lineCap = "round";
+    
+    const tips = [];
+    let depth = 0;
+    let lastWasStem = false;
+    
+    for (const symbol of shape.sentence) {
+        const jitter = (shape.random() - 0.5) * 0.15;
+        
+        if (symbol === "F") {
+            ctx.lineWidth = Math.max(1, 3 * shape.scale - depth * 0.8);
+            ctx.rotate(jitter);
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.lineTo(0, -segmentLength);
+            ctx.stroke();
+            ctx.translate(0, -segmentLength);
+            lastWasStem = true;
+        } else if (symbol === "L") {
+            drawLeaf(ctx, shape.leafShape, leafSize, leafColor);
+            lastWasStem = false;
+        } else if (symbol === "+") {
+            ctx.rotate(branchAngle * (1 + droop) + jitter);
+        } else if (symbol === "-") {
+            ctx.rotate(-branchAngle * (1 + droop) + jitter);
+        } else if (symbol === "[") {
+            ctx.save();
+            depth++;
+            lastWasStem = false;
+        } else if (symbol === "]") {
+            if (lastWasStem) tips.push(ctx.getTransform());
+            ctx.restore();
+            depth--;
+            lastWasStem = false;
+        }
+    }
+    
+    if (lastWasStem) tips.push(ctx.getTransform());
+    
+    // Flowers (and fruit once fruiting) at the branch tips
+    if (shape.showFlowers && shape.stage !== "death") {
+        const flowerSize = leafSize * 0.9;
+        
+        tips.forEach(transform => {
+            ctx.save();
+            ctx.setTransform(transform);
+            
+            if (shape.showFruit) {
+                ctx.fillStyle = shape.flowerColor;
+                ctx.beginPath();
+                ctx.arc(0, 0, flowerSize * 0.55, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                drawFlower(ctx, flowerSize, shape.flowerColors, 6);
+            }
+            
+            ctx.restore();
+        });
+    }
+    
+    ctx.restore();
+}
+
+// Draw plants in a row along a ground line. area is { x, y, width } where y
+// is the ground; options are passed on to drawPlant.
+export function drawPlantRow(ctx, plants, area, options = {}) {
+    if (plants.length === 0) return;
+    
+    const spacing = area.width / plants.length;
+    
+    plants.forEach((plant, index) => {
+        drawPlant(ctx, plant, area.x + spacing * (index + 0.5), area.y, options);
+    });
+}
@@ -0,0 +1,303 @@
+// Plant Genetics System: save / load
+// Versioned snapshots of plants, the breeder, the market, the seed bank and
+// the garden.
+
+import { GENE_TRAITS } from "./traits.js";
+import {
+    clampQuantitativeAllele,
+    formatQuantitativeAlleles,
+    getTraitLoci,
+    parseQuantitativeAlleles
+} from "./genes.js";
+import { getStageForProgress, Plant, reservePlantId } from "./plant.js";
+import { PlantBreeder } from "./breeding.js";
+import { Market } from "./market.js";
+import { SeedBank } from "./seed-bank.js";
+
+// ============== SAVE / LOAD ==============
+
+// Version of the JSON save format written by serialize()
+export const SAVE_FORMAT_VERSION = 1;
+
+// The parts of each trait definition that decide how genes are written.
+// Saved next to the data so genes can be migrated when GENE_TRAITS changes.
+export function getTraitSchema() {
+    const schema = {};
+    
+    Object.keys(GENE_TRAITS).forEach(key => {
+        const trait = GENE_TRAITS[key];
+        
+        schema[key] = trait.type === "quantitative" ?
+            { type: trait.type, min: trait.min, max: trait.max, decimals: trait.decimals || 0, loci: getTraitLoci(trait) } :
+            { type: trait.type, alleles: Object.keys(trait.alleles) };
+    });
+    
+    return schema;
+}
+
+// Check the version of saved data and return it
+export function checkSaveVersion(data, kind) {
+    if (!data || typeof data !== 'object') {
+        throw new Error(`Cannot load ${kind}: save data must be an object`);
+    }
+    
+    if (data.version !== SAVE_FORMAT_VERSION) {
+        throw new Error(`Cannot load ${kind}: unsupported save version ${data.version}`);
+    }
+    
+    return data;
+}
+
+// Rewrite a gene sequence saved under an older trait schema in the current
+// format: removed traits are dropped, quantitative alleles are decoded with
+// the old encoding and re-encoded (and clamped) with the new one. Qualitative
+// alleles that no longer exist are repaired when the sequence is parsed.
+function migrateGeneSequence(geneSequence, savedSchema) {
+    if (!savedSchema || typeof geneSequence !== 'string') return geneSequence;
+    
+    const segments = [];
+    
+    geneSequence.split('-').forEach(segment => {
+        const [key, value] = segment.split(':');
+        const oldTrait = savedSchema[key];
+        const trait = GENE_TRAITS[key];
+        
+        if (!trait) return;
+        
+        // Changed type: drop the gene so the default takes over
+        if (oldTrait && oldTrait.type !== trait.type) return;
+        
+        // Qualitative, or not in the saved schema: parsing repairs it
+        if (!oldTrait || trait.type !== "quantitative") {
+            segments.push(segment);
+            return;
+        }
+        
+        const oldAlleles = parseQuantitativeAlleles(oldTrait, value);
+        if (!oldAlleles) return;
+        
+        const alleles = [];
+        for (let i = 0; i < getTraitLoci(trait) * 2; i++) {
+            alleles.push(clampQuantitativeAllele(trait, oldAlleles[i % oldAlleles.length]));
+        }
+        
+        segments.push(`${key}:${formatQuantitativeAlleles(trait, alleles)}`);
+    });
+    
+    return segments.join('-');
+}
+
+// Plain-object state of a plant (without version or schema)
+export function getPlantState(plant) {
+    return {
+        id: plant.id,
+        parents: plant.parents ? plant.parents.slice() : null,
+        generation: plant.generation,
+        inbreedingCoefficient: plant.inbreedingCoefficient,
+        geneSequence: plant.toGeneSequence(),
+        progress: plant.progress,
+        health: plant.health,
+        ready: plant.ready,
+        watered: plant.watered,
+        stage: plant.stage,
+        perennial: plant.perennial,
+        daysRipe: plant.daysRipe,
+        harvestCount: plant.harvestCount
+    };
+}
+
+// Rebuild a plant from getPlantState output saved under savedSchema
+export function createPlantFromState(state, savedSchema, options = {}) {
+    const plant = new Plant(migrateGeneSequence(state.geneSequence, savedSchema), {
+        random: options.random,
+        events: options.events,
+        id: state.id,
+        parents: state.parents,
+        generation: state.generation,
+        inbreedingCoefficient: state.inbreedingCoefficient,
+        perennial: state.perennial
+    });
+    
+    plant.progress = state.progress ?? 0;
+    plant.health = state.health ?? 100;
+    plant.ready = !!state.ready;
+    plant.watered = state.watered ?? true;
+    plant.stage = state.stage || (plant.progress > 0 ? getStageForProgress(plant.progress) : "seed");
+    plant.daysRipe = state.daysRipe || 0;
+    plant.harvestCount = state.harvestCount || 0;
+    
+    return plant;
+}
+
+// Plain-object state of a breeder (without version or schema)
+export function getBreederState(breeder) {
+    return {
+        mutationRate: breeder.mutationRate,
+        mutationRates: { ...breeder.mutationRates },
+        crossingHistory: breeder.crossingHistory.map(entry => ({
+            ...entry,
+            date: entry.date instanceof Date ? entry.date.toISOString() : entry.date
+        })),
+        pedigree: Object.values(breeder.pedigree).map(entry => ({
+            ...entry,
+            parents: entry.parents ? entry.parents.slice() : null
+        }))
+    };
+}
+
+// Rebuild a breeder from getBreederState output saved under savedSchema
+export function createBreederFromState(state, savedSchema, options = {}) {
+    const breeder = new PlantBreeder({
+        random: options.random,
+        events: options.events,
+        mutationRate: state.mutationRate,
+        mutationRates: state.mutationRates
+    });
+    
+    const migrate = sequence => migrateGeneSequence(sequence, savedSchema);
+    
+    breeder.crossingHistory = (state.crossingHistory || []).map(entry => ({
+        ...entry,
+        parentA: migrate(entry.parentA),
+        parentB: migrate(entry.parentB),
+        offspring: migrate(entry.offspring),
+        date: new Date(entry.date)
+    }));
+    
+    (state.pedigree || []).forEach((entry, index) => {
+        reservePlantId(entry.id);
+        breeder.pedigree[entry.id] = {
+            ...entry,
+            geneSequence: migrate(entry.geneSequence),
+            order: index
+        };
+    });
+    breeder.nextOrder = (state.pedigree || []).length;
+    
+    return breeder;
+}
+
+// Plain-object state of a market (without version or schema)
+function getMarketState(market) {
+    return {
+        basePrice: market.basePrice,
+        day: market.day,
+        demand: { ...market.demand },
+        saturation: { ...market.saturation },
+        seedStock: { ...market.seedStock }
+    };
+}
+
+// Rebuild a market from getMarketState output saved under savedSchema
+function createMarketFromState(state, savedSchema, options = {}) {
+    const seedStock = {};
+    
+    // Migrated sequences can collide, so merge their counts
+    Object.keys(state.seedStock || {}).forEach(geneSequence => {
+        const migrated = new Plant(migrateGeneSequence(geneSequence, savedSchema), { id: "market-quote" }).toGeneSequence();
+        seedStock[migrated] = (seedStock[migrated] || 0) + state.seedStock[geneSequence];
+    });
+    
+    const market = new Market({
+        random: options.random,
+        basePrice: state.basePrice,
+        demand: state.demand,
+        seedStock
+    });
+    
+    market.saturation = { ...state.saturation };
+    market.day = state.day || 0;
+    
+    return market;
+}
+
+// Plain-object state of a seed bank (without version or schema)
+function getSeedBankState(seedBank) {
+    return {
+        day: seedBank.day,
+        germinationRate: seedBank.germinationRate,
+        viabilityHalfLife: seedBank.viabilityHalfLife,
+        seeds: Object.values(seedBank.entries).map(entry => ({
+            geneSequence: entry.geneSequence,
+            label: entry.label,
+            lots: entry.lots.map(lot => ({ ...lot, parents: lot.parents ? lot.parents.slice() : null }))
+        }))
+    };
+}
+
+// Rebuild a seed bank from getSeedBankState output saved under savedSchema
+function createSeedBankFromState(state, savedSchema, options = {}) {
+    const seedBank = new SeedBank({
+        random: options.random,
+        events: options.events,
+        germinationRate: state.germinationRate,
+        viabilityHalfLife: state.viabilityHalfLife
+    });
+    
+    seedBank.day = state.day || 0;
+    
+    // Migrated sequences can collide, so merge their lots
+    (state.seeds || []).forEach(saved => {
+        const geneSequence = seedBank.normalizeSequence(migrateGeneSequence(saved.geneSequence, savedSchema));
+        const entry = seedBank.entries[geneSequence] =
+            seedBank.entries[geneSequence] || { geneSequence, label: saved.label || null, lots: [] };
+        
+        (saved.lots || []).forEach(lot => entry.lots.push({ ...lot }));
+        entry.lots.sort((a, b) => a.day - b.day);
+    });
+    
+    return seedBank;
+}
+
+// Versioned JSON-ready snapshot of a whole garden (the game object set up by
+// initializeGeneticsSystem): planted plants, seed bank (and its seed counts
+// as seedInventory), coins, breeder and market
+export function serializeGarden(game) {
+    return {
+        version: SAVE_FORMAT_VERSION,
+        traits: getTraitSchema(),
+        garden: {
+            coins: game.coins || 0,
+            plants: (game.plants || []).map(getPlantState),
+            seedInventory: { ...(game.seedInventory || {}) },
+            seedBank: game.seedBank ? getSeedBankState(game.seedBank) : null,
+            breeder: game.breeder ? getBreederState(game.breeder) : null,
+            market: game.market ? getMarketState(game.market) : null
+        }
+    };
+}
+
+// Restore a serializeGarden snapshot. Returns { coins, plants, seedInventory,
+// seedBank, breeder, market } with genes migrated to the current trait
+// schema. Saves from before the seed bank get their seedInventory stored
+// as fresh seeds.
+// options.random, options.events: handed to the restored plants, seed bank
+// and breeder
+export function deserializeGarden(data, options = {}) {
+    checkSaveVersion(data, "garden");
+    
+    const garden = data.garden || {};
+    let seedBank;
+    
+    if (garden.seedBank) {
+        seedBank = createSeedBankFromState(garden.seedBank, data.traits, options);
+    } else {
+        seedBank = new SeedBank({ random: options.random, events: options.events });
+        Object.keys(garden.seedInventory || {}).forEach(geneSequence => {
+            seedBank.deposit(migrateGeneSequence(geneSequence, data.traits), garden.seedInventory[geneSequence]);
+        });
+    }
+    
+    return {
+        coins: garden.coins || 0,
+        plants: (garden.plants || []).map(state => createPlantFromState(state, data.traits, options)),
+        seedInventory: seedBank.getInventory(),
+        seedBank,
+        breeder: garden.breeder ?
+            createBreederFromState(garden.breeder, data.traits, options) :
+            new PlantBreeder({ random: options.random, events: options.events }),
+        market: garden.market ?
+            createMarketFromState(garden.market, data.traits, options) :
+            new Market({ random: options.random })
+    };
+}
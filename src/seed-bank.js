@@ -0,0 +1,232 @@
+// Plant Genetics System: seed bank
+// Stored seeds, grouped by genotype. Seeds lose viability as they age, so
+// planting one is a germination roll that may or may not give a Plant.
+// Stored seeds can be labelled and searched by trait.
+
+import { Plant } from "./plant.js";
+import { evaluateGoal, validateGoal } from "./goals.js";
+import { geneticsEvents } from "./events.js";
+
+// ============== VIABILITY ==============
+
+// Chance that a fresh seed germinates, and the days it takes stored seeds
+// to lose half of that
+export const GERMINATION_RATE = 0.9;
+export const SEED_VIABILITY_HALF_LIFE = 60;
+
+// ============== SEED BANK ==============
+
+// Seeds by genotype: each genotype has a label and lots of seeds stored on
+// the same day with the same lineage, oldest first:
+// { count, day, parents, generation, inbreedingCoefficient }
+export class SeedBank {
+    // options.random: random source for germination rolls, also handed to
+    // the plants (defaults to Math.random)
+    // options.events: EventBus germinations are reported to, also handed to
+    // the plants (the shared geneticsEvents by default)
+    // options.germinationRate, options.viabilityHalfLife: see above
+    constructor(options = {}) {
+        this.random = options.random || Math.random;
+        this.events = options.events || geneticsEvents;
+        this.germinationRate = options.germinationRate ?? GERMINATION_RATE;
+        this.viabilityHalfLife = options.viabilityHalfLife ?? SEED_VIABILITY_HALF_LIFE;
+        this.entries = {}; // Gene sequence -> { geneSequence, label, lots }
+        this.day = 0;
+    }
+    
+    // Gene sequence in the form the bank files seeds under
+    normalizeSequence(geneSequence) {
+        return new Plant(geneSequence, { id: "seed-bank-quote" }).toGeneSequence();
+    }
+    
+    // Store seeds of a plant (keeping its parents, generation and inbreeding
+    // for the plants they grow into) or of a gene sequence. Returns the
+    // genotype's entry.
+    deposit(plantOrSequence, count = 1) {
+        if (!plantOrSequence || !(count > 0)) return null;
+        
+        const plant = plantOrSequence instanceof Plant ? plantOrSequence : null;
+        const geneSequence = this.normalizeSequence(plant ? plant.toGeneSequence() : plantOrSequence);
+        const lineage = {
+            parents: plant?.parents ? plant.parents.slice() : null,
+            generation: plant?.generation || 0,
+            inbreedingCoefficient: plant?.inbreedingCoefficient || 0
+        };
+        
+        const entry = this.entries[geneSequence] =
+            this.entries[geneSequence] || { geneSequence, label: null, lots: [] };
+        
+        // Seeds stored today with the same lineage share a lot
+        const lot = entry.lots.find(existing => existing.day === this.day &&
+            JSON.stringify(existing.parents) === JSON.stringify(lineage.parents) &&
+            existing.generation === lineage.generation &&
+            existing.inbreedingCoefficient === lineage.inbreedingCoefficient);
+        
+        if (lot) {
+            lot.count += count;
+        } else {
+            entry.lots.push({ count, day: this.day, ...lineage });
+        }
+        
+        return entry;
+    }
+    
+    // Take seeds out of the bank, oldest first. Returns the lots they came
+    // from ([{ count, day, parents, generation, inbreedingCoefficient }]),
+    // or null (taking nothing) if there aren't that many.
+    withdraw(geneSequence, count = 1) {
+        geneSequence = this.normalizeSequence(geneSequence);
+        if (!(count > 0) || this.getCount(geneSequence) < count) return null;
+        
+        const entry = this.entries[geneSequence];
+        const taken = [];
+        
+        while (count > 0) {
+            const lot = entry.lots[0];
+            const amount = Math.min(count, lot.count);
+            
+            taken.push({ ...lot, count: amount });
+            lot.count -= amount;
+            count -= amount;
+            
+            if (lot.count === 0) entry.lots.shift();
+        }
+        
+        // Labels stay with the genotype while any of its seeds are stored
+        if (entry.lots.length === 0) delete this.entries[geneSequence];
+        
+        return taken;
+    }
+    
+    // Number of stored seeds of a genotype
+    getCount(geneSequence) {
+        const entry = this.entries[this.normalizeSequence(geneSequence)];
+        
+        return entry ? entry.lots.reduce((sum, lot) => sum + lot.count, 0) : 0;
+    }
+    
+    // Plant grown from a seed of a lot (as withdraw returns them), with the
+    // lot's lineage so breeders can still work out its kinship
+    createPlant(geneSequence, lot, options = {}) {
+        return new Plant(this.normalizeSequence(geneSequence), {
+            random: this.random,
+            events: this.events,
+            parents: lot.parents,
+            generation: lot.generation,
+            inbreedingCoefficient: lot.inbreedingCoefficient,
+            perennial: options.perennial
+        });
+    }
+    
+    // Chance that a seed stored for this many days germinates
+    getViability(age) {
+        return this.germinationRate * Math.pow(0.5, Math.max(0, age) / this.viabilityHalfLife);
+    }
+    
+    // Plant the oldest stored seed of a genotype. It germinates with its
+    // lot's viability: { success: true, plant } or { success: false } with
+    // the seed used up either way. Returns null if there are no seeds.
+    germinate(geneSequence, options = {}) {
+        const taken = this.withdraw(geneSequence);
+        if (!taken) return null;
+        
+        const lot = taken[0];
+        const age = this.day - lot.day;
+        const viability = this.getViability(age);
+        const normalized = this.normalizeSequence(geneSequence);
+        
+        const result = { success: false, plant: null, geneSequence: normalized, age, viability };
+        
+        if (this.random() < viability) {
+            result.success = true;
+            result.plant = this.createPlant(normalized, lot, options);
+        }
+        
+        result.message = result.success ?
+            `The seed germinated (${Math.round(viability * 100)}% viable)` :
+            `The seed failed to germinate (${Math.round(viability * 100)}% viable after ${age} days)`;
+        
+        this.events.emit("germinated", {
+            plant: result.plant,
+            geneSequence: normalized,
+            success: result.success,
+            age,
+            viability
+        });
+        
+        return result;
+    }
+    
+    // Label a stored genotype ("Grandma's purple"); null clears the label.
+    // Returns false if there are no seeds of it.
+    label(geneSequence, label) {
+        const entry = this.entries[this.normalizeSequence(geneSequence)];
+        if (!entry) return false;
+        
+        entry.label = label || null;
+        
+        return true;
+    }
+    
+    // Stored genotypes, most seeds first:
+    // [{ geneSequence, label, count, viability, lots }] where viability is
+    // that of the freshest seeds and each lot adds its age and viability
+    getSeeds() {
+        return Object.values(this.entries).map(entry => {
+            const lots = entry.lots.map(lot => ({
+                ...lot,
+                parents: lot.parents ? lot.parents.slice() : null,
+                age: this.day - lot.day,
+                viability: this.getViability(this.day - lot.day)
+            }));
+            
+            return {
+                geneSequence: entry.geneSequence,
+                label: entry.label,
+                count: lots.reduce((sum, lot) => sum + lot.count, 0),
+                viability: Math.max(...lots.map(lot => lot.viability)),
+                lots
+            };
+        }).sort((a, b) => b.count - a.count);
+    }
+    
+    // Seed counts by gene sequence, { geneSequence: count }
+    getInventory() {
+        const inventory = {};
+        
+        Object.keys(this.entries).forEach(geneSequence => {
+            inventory[geneSequence] = this.getCount(geneSequence);
+        });
+        
+        return inventory;
+    }
+    
+    // Stored genotypes (as in getSeeds) whose plants would meet a goal, in
+    // the breeding goal format: { FC: "Purple", YD: { gte: 4 } }. An empty
+    // goal matches every genotype.
+    // options.label: only genotypes whose label contains this text
+    // options.minViability: only genotypes with seeds at least this viable
+    search(goal = {}, options = {}) {
+        const hasGoal = goal && typeof goal === 'object' && Object.keys(goal).length > 0;
+        const problems = hasGoal ? validateGoal(goal) : [];
+        if (problems.length > 0) {
+            throw new Error(`Invalid seed search: ${problems.join("; ")}`);
+        }
+        
+        const labelText = options.label ? String(options.label).toLowerCase() : null;
+        
+        return this.getSeeds().filter(seed => {
+            if (labelText && !(seed.label || "").toLowerCase().includes(labelText)) return false;
+            if (options.minViability !== undefined && seed.viability < options.minViability) return false;
+            if (!hasGoal) return true;
+            
+            const plant = new Plant(seed.geneSequence, { id: "seed-bank-quote" });
+            return evaluateGoal(plant, goal).complete;
+        });
+    }
+    
+    // Let the stored seeds age
+    advanceDay(days = 1) {
+        this.day += days;
+    }
+}
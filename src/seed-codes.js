@@ -0,0 +1,204 @@
+// Plant Genetics System: seed codes
+// Short shareable codes for gene sequences ("GS1-...").
+
+import { GENE_TRAITS } from "./traits.js";
+import { hashSeed } from "./random.js";
+import {
+    formatQuantitativeAlleles,
+    getAlleleScale,
+    getQuantitativeAlleles,
+    getTraitLoci,
+    validateGeneSequence
+} from "./genes.js";
+import { getTraitSchema } from "./save.js";
+
+// ============== SEED CODES ==============
+
+// Short, URL- and QR-friendly codes for trading seeds, e.g. "1B4Z-9K0Q-...".
+// Layout: version byte, trait schema byte, bit-packed alleles (in
+// GENE_TRAITS order), CRC-16 checksum; written in Crockford base32.
+const SEED_CODE_VERSION = 1;
+const SEED_CODE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+// Bits needed to store one of `count` choices
+function bitsFor(count) {
+    return Math.max(1, Math.ceil(Math.log2(count)));
+}
+
+// The choices one allele of a trait can take, in packing order
+function getSeedCodeChoices(trait) {
+    if (trait.type === "qualitative") {
+        return Object.keys(trait.alleles);
+    }
+    
+    const scale = getAlleleScale(trait);
+    const choices = [];
+    for (let step = Math.round(trait.min * scale); step <= Math.round(trait.max * scale); step++) {
+        choices.push(step / scale);
+    }
+    
+    return choices;
+}
+
+// One byte identifying the trait definitions, so codes made with other
+// traits (mods, older versions) are rejected instead of misread
+function getSeedCodeSchemaByte() {
+    return hashSeed(JSON.stringify(getTraitSchema())) & 0xFF;
+}
+
+// CRC-16/CCITT-FALSE over a list of bytes
+function crc16(bytes) {
+    let crc = 0xFFFF;
+    
+    bytes.forEach(byte => {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    });
+    
+    return crc;
+}
+
+// Turn a list of bits into bytes, padding the last byte with zeros
+function bitsToBytes(bits) {
+    const bytes = [];
+    
+    for (let i = 0; i < bits.length; i += 8) {
+        let byte = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            byte = (byte << 1) | (bits[i + bit] || 0);
+        }
+        bytes.push(byte);
+    }
+    
+    return bytes;
+}
+
+// Write an unsigned number as `count` bits, most significant first
+function pushBits(bits, value, count) {
+    for (let bit = count - 1; bit >= 0; bit--) {
+        bits.push((value >> bit) & 1);
+    }
+}
+
+// Encode a plant or gene sequence as a seed code. options.groupSize splits
+// the code with dashes for readability (default 4, 0 for one block).
+export function encodeSeedCode(plantOrSequence, options = {}) {
+    const genes = typeof plantOrSequence === 'string' ?
+        validateGeneSequence(plantOrSequence).genes :
+        plantOrSequence.genes;
+    const groupSize = options.groupSize !== undefined ? options.groupSize : 4;
+    const bits = [];
+    
+    Object.keys(GENE_TRAITS).forEach(key => {
+        const trait = GENE_TRAITS[key];
+        const choices = getSeedCodeChoices(trait);
+        const alleles = trait.type === "qualitative" ?
+            String(genes[key]).split("") :
+            getQuantitativeAlleles(trait, genes[key]);
+        
+        alleles.forEach(allele => {
+            pushBits(bits, Math.max(0, choices.indexOf(allele)), bitsFor(choices.length));
+        });
+    });
+    
+    const bytes = [SEED_CODE_VERSION, getSeedCodeSchemaByte(), ...bitsToBytes(bits)];
+    const checksum = crc16(bytes);
+    bytes.push(checksum >> 8, checksum & 0xFF);
+    
+    // Base32: five bits per character
+    const codeBits = [];
+    bytes.forEach(byte => pushBits(codeBits, byte, 8));
+    
+    let code = "";
+    for (let i = 0; i < codeBits.length; i += 5) {
+        let index = 0;
+        for (let bit = 0; bit < 5; bit++) {
+            index = (index << 1) | (codeBits[i + bit] || 0);
+        }
+        code += SEED_CODE_ALPHABET[index];
+    }
+    
+    if (groupSize > 0) {
+        code = code.match(new RegExp(`.{1,${groupSize}}`, "g")).join("-");
+    }
+    
+    return code;
+}
+
+// Decode a seed code back into a gene sequence. Dashes, spaces and case are
+// ignored and the usual look-alikes (O/0, I/L/1) are accepted. Throws if the
+// code is mistyped (bad checksum) or made with another version or trait set.
+export function decodeSeedCode(code) {
+    const cleaned = String(code)
+        .toUpperCase()
+        .replace(/[\s-]/g, "")
+        .replace(/O/g, "0")
+        .replace(/[IL]/g, "1");
+    
+    const codeBits = [];
+    
+    for (const character of cleaned) {
+        const index = SEED_CODE_ALPHABET.indexOf(character);
+        if (index === -1) {
+            throw new Error(`Invalid seed code: unexpected character "${character}"`);
+        }
+        pushBits(codeBits, index, 5);
+    }
+    
+    const bytes = bitsToBytes(codeBits.slice(0, Math.floor(codeBits.length / 8) * 8));
+    
+    if (bytes.length < 4) {
+        throw new Error("Invalid seed code: too short");
+    }
+    
+    const checksum = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    const body = bytes.slice(0, -2);
+    
+    if (crc16(body) !== checksum) {
+        throw new Error("Invalid seed code: checksum mismatch (check for typos)");
+    }
+    if (body[0] !== SEED_CODE_VERSION) {
+        throw new Error(`Invalid seed code: unsupported version ${body[0]}`);
+    }
+    if (body[1] !== getSeedCodeSchemaByte()) {
+        throw new Error("Invalid seed code: made with different trait definitions");
+    }
+    
+    // Read the alleles back in the same order they were packed
+    const bits = [];
+    body.slice(2).forEach(byte => pushBits(bits, byte, 8));
+    
+    let offset = 0;
+    const readBits = (count) => {
+        let value = 0;
+        for (let bit = 0; bit < count; bit++) {
+            value = (value << 1) | (bits[offset + bit] || 0);
+        }
+        offset += count;
+        return value;
+    };
+    
+    const segments = Object.keys(GENE_TRAITS).map(key => {
+        const trait = GENE_TRAITS[key];
+        const choices = getSeedCodeChoices(trait);
+        const alleleCount = trait.type === "qualitative" ? 2 : getTraitLoci(trait) * 2;
+        const alleles = [];
+        
+        for (let i = 0; i < alleleCount; i++) {
+            const index = readBits(bitsFor(choices.length));
+            alleles.push(choices[Math.min(index, choices.length - 1)]);
+        }
+        
+        return trait.type === "qualitative" ?
+            `${key}:${alleles.join("")}` :
+            `${key}:${formatQuantitativeAlleles(trait, alleles)}`;
+    });
+    
+    if (offset > bits.length) {
+        throw new Error("Invalid seed code: too short for the current traits");
+    }
+    
+    return segments.join('-');
+}
@@ -0,0 +1,315 @@
+// Plant Genetics System: breeding simulation
+// Headless breeding experiments to help balance valueMap numbers and
+// mutation rates. They run in the browser and from the command line
+// (bin/breeding-simulation.js):
+//
+//   npm run simulate -- --generations 30 --strategy target \
+//       --target '{"FC":"Purple","YD":{"gte":4}}' --runs 20 --seed balance
+//
+// Run with --help for all options.
+
+import { GENE_TRAITS } from "./traits.js";
+import { createSeededRandom } from "./random.js";
+import { getQuantitativeAlleles } from "./genes.js";
+import { matchesTraitCondition } from "./phenotype.js";
+import { PlantBreeder } from "./breeding.js";
+import { createRandomPlant, createStarterPlant } from "./starters.js";
+
+// ============== SIMULATION ==============
+
+// Default settings for runBreedingSimulation
+export const SIMULATION_DEFAULTS = {
+    seed: "balance",
+    generations: 20,
+    populationSize: 20,
+    founders: ["carrot", "tomato", "corn"], // Starter types, or "random"
+    strategy: "truncation", // "random", "truncation" or "target"
+    selectionFraction: 0.5, // Share of each generation kept as parents
+    score: "sellPrice", // getInfo() field (or function(plant)) used by truncation
+    target: null, // Target phenotype, e.g. { FC: "Purple", YD: { gte: 4 } }
+    targetShare: 0.5, // Share of the population that must match to count as reached
+    mutationRate: undefined, // Defaults to each trait's own rate
+    mutagens: [], // Mutagen IDs applied to every cross, e.g. ["radiation"]
+    runs: 1
+};
+
+// Ways of picking each generation's parents (see selectParents)
+export const SIMULATION_STRATEGIES = ["random", "truncation", "target"];
+
+// Throw on settings an experiment can't run with
+function checkExperimentSettings(settings) {
+    if (!SIMULATION_STRATEGIES.includes(settings.strategy)) {
+        throw new Error(`Unknown simulation strategy "${settings.strategy}"; ` +
+            `expected one of ${SIMULATION_STRATEGIES.join(", ")}`);
+    }
+    if (!(Number.isInteger(settings.populationSize) && settings.populationSize >= 2)) {
+        throw new Error(`Simulation needs a population of at least 2, got ${settings.populationSize}`);
+    }
+}
+
+// Does a plant's phenotype match every condition of a target?
+function plantMatchesTarget(plant, target) {
+    return Object.keys(target).every(key => matchesTraitCondition(plant.phenotype[key], target[key]));
+}
+
+// How many of a target's conditions a plant meets (for target selection)
+function countTargetMatches(plant, target) {
+    return Object.keys(target)
+        .filter(key => matchesTraitCondition(plant.phenotype[key], target[key]))
+        .length;
+}
+
+// Pick the parents of the next generation
+function selectParents(population, settings, random) {
+    const keep = Math.max(2, Math.round(population.length * settings.selectionFraction));
+    
+    if (settings.strategy === "random") {
+        const pool = population.slice();
+        const parents = [];
+        
+        while (parents.length < keep && pool.length > 0) {
+            parents.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+        }
+        
+        return parents;
+    }
+    
+    const scoreOf = typeof settings.score === 'function' ?
+        settings.score :
+        plant => plant.getInfo()[settings.score] || 0;
+    
+    const rank = settings.strategy === "target" && settings.target ?
+        plant => countTargetMatches(plant, settings.target) * 1000 + scoreOf(plant) :
+        scoreOf;
+    
+    return population
+        .map(plant => ({ plant, score: rank(plant) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, keep)
+        .map(entry => entry.plant);
+}
+
+// Summarise one generation: allele and phenotype frequencies, heterozygosity,
+// mean trait values, sell price, inbreeding and target share
+function summarizeGeneration(population, generation, target) {
+    const alleleFrequencies = {};
+    const phenotypeFrequencies = {};
+    const traitMeans = {};
+    let heterozygousLoci = 0;
+    let totalLoci = 0;
+    
+    Object.keys(GENE_TRAITS).forEach(key => {
+        const trait = GENE_TRAITS[key];
+        const alleleCounts = {};
+        let alleleTotal = 0;
+        
+        population.forEach(plant => {
+            const alleles = trait.type === "quantitative" ?
+                getQuantitativeAlleles(trait, plant.genes[key]) :
+                String(plant.genes[key]).split("");
+            
+            alleles.forEach(allele => {
+                alleleCounts[allele] = (alleleCounts[allele] || 0) + 1;
+                alleleTotal++;
+            });
+            
+            // Heterozygosity counts each locus (pair of alleles)
+            for (let i = 0; i + 1 < alleles.length; i += 2) {
+                totalLoci++;
+                if (alleles[i] !== alleles[i + 1]) heterozygousLoci++;
+            }
+        });
+        
+        alleleFrequencies[key] = {};
+        Object.keys(alleleCounts).forEach(allele => {
+            alleleFrequencies[key][allele] = alleleCounts[allele] / alleleTotal;
+        });
+        
+        if (trait.type === "qualitative") {
+            phenotypeFrequencies[key] = {};
+            population.forEach(plant => {
+                const name = plant.phenotype[key]?.name || "Unknown";
+                phenotypeFrequencies[key][name] = (phenotypeFrequencies[key][name] || 0) + 1 / population.length;
+            });
+        } else {
+            traitMeans[key] = population.reduce((sum, plant) => sum + (plant.phenotype[key]?.value || 0), 0) /
+                population.length;
+        }
+    });
+    
+    const average = values => values.reduce((sum, value) => sum + value, 0) / Math.max(1, values.length);
+    
+    return {
+        generation,
+        size: population.length,
+        alleleFrequencies,
+        phenotypeFrequencies,
+        traitMeans,
+        heterozygosity: totalLoci > 0 ? heterozygousLoci / totalLoci : 0,
+        averageSellPrice: average(population.map(plant => plant.getInfo().sellPrice)),
+        averageInbreeding: average(population.map(plant => plant.inbreedingCoefficient || 0)),
+        targetShare: target ?
+            population.filter(plant => plantMatchesTarget(plant, target)).length / population.length :
+            null
+    };
+}
+
+// Run one breeding experiment. Returns { settings, generations, reachedTargetAt }
+// where generations holds a summary per generation (0 is the founders) and
+// reachedTargetAt is the first generation where targetShare of the plants
+// matched the target (null if never, or no target).
+export function runBreedingExperiment(options = {}) {
+    const settings = { ...SIMULATION_DEFAULTS, ...options };
+    checkExperimentSettings(settings);
+    
+    const random = createSeededRandom(settings.seed);
+    const breeder = new PlantBreeder({ random, mutationRate: settings.mutationRate });
+    
+    // Founders: starters cycled through the requested types, or random plants
+    let population = [];
+    for (let i = 0; i < settings.populationSize; i++) {
+        const founders = Array.isArray(settings.founders) ? settings.founders : [settings.founders];
+        const type = founders[i % founders.length];
+        
+        population.push(type === "random" ?
+            createRandomPlant({ random }) :
+            createStarterPlant(type, { random }));
+    }
+    
+    const generations = [summarizeGeneration(population, 0, settings.target)];
+    let reachedTargetAt = settings.target && generations[0].targetShare >= settings.targetShare ? 0 : null;
+    
+    for (let generation = 1; generation <= settings.generations; generation++) {
+        const parents = selectParents(population, settings, random);
+        const offspring = [];
+        
+        while (offspring.length < settings.populationSize) {
+            const parentA = parents[Math.floor(random() * parents.length)];
+            let parentB = parents[Math.floor(random() * parents.length)];
+            
+            // Avoid selfing while there is anyone else to cross with
+            if (parentB === parentA && parents.length > 1) {
+                parentB = parents[(parents.indexOf(parentA) + 1) % parents.length];
+            }
+            
+            offspring.push(breeder.crossPlants(parentA, parentB, { mutagens: settings.mutagens }));
+        }
+        
+        population = offspring;
+        
+        const summary = summarizeGeneration(population, generation, settings.target);
+        generations.push(summary);
+        
+        if (reachedTargetAt === null && settings.target && summary.targetShare >= settings.targetShare) {
+            reachedTargetAt = generation;
+        }
+    }
+    
+    return { settings, generations, reachedTargetAt };
+}
+
+// Run settings.runs experiments (each with its own seed derived from
+// settings.seed) and build a balance report with the averages across runs
+export function runBreedingSimulation(options = {}) {
+    const settings = { ...SIMULATION_DEFAULTS, ...options };
+    const runs = [];
+    
+    if (!(Number.isInteger(settings.runs) && settings.runs >= 1)) {
+        throw new Error(`Simulation needs at least one run, got ${settings.runs}`);
+    }
+    checkExperimentSettings(settings);
+    
+    for (let run = 0; run < settings.runs; run++) {
+        runs.push(runBreedingExperiment({ ...settings, seed: `${settings.seed}#${run}` }));
+    }
+    
+    // Average each generation's headline numbers across runs
+    const averages = [];
+    for (let generation = 0; generation <= settings.generations; generation++) {
+        const summaries = runs.map(run => run.generations[generation]);
+        const mean = pick => summaries.reduce((sum, summary) => sum + pick(summary), 0) / summaries.length;
+        
+        const traitMeans = {};
+        Object.keys(summaries[0].traitMeans).forEach(key => {
+            traitMeans[key] = mean(summary => summary.traitMeans[key]);
+        });
+        
+        averages.push({
+            generation,
+            heterozygosity: mean(summary => summary.heterozygosity),
+            averageSellPrice: mean(summary => summary.averageSellPrice),
+            averageInbreeding: mean(summary => summary.averageInbreeding),
+            targetShare: settings.target ? mean(summary => summary.targetShare) : null,
+            traitMeans
+        });
+    }
+    
+    const reached = runs.map(run => run.reachedTargetAt).filter(value => value !== null);
+    
+    return {
+        settings,
+        runs,
+        averages,
+        target: settings.target ? {
+            runsReached: reached.length,
+            runs: runs.length,
+            averageGenerations: reached.length ?
+                reached.reduce((sum, value) => sum + value, 0) / reached.length :
+                null,
+            fastest: reached.length ? Math.min(...reached) : null,
+            slowest: reached.length ? Math.max(...reached) : null
+        } : null
+    };
+}
+
+// Plain-text balance report
+export function formatBalanceReport(report) {
+    const { settings } = report;
+    const lines = [];
+    const fixed = (value, digits = 2) => value === null ? "-" : value.toFixed(digits);
+    
+    lines.push(`Breeding simulation: seed "${settings.seed}", ${settings.runs} run(s), ` +
+        `${settings.generations} generations of ${settings.populationSize}, strategy ${settings.strategy}`);
+    
+    if (settings.target) {
+        lines.push(`Target: ${JSON.stringify(settings.target)} in ${Math.round(settings.targetShare * 100)}% of plants`);
+    }
+    
+    lines.push("");
+    
+    const traitKeys = Object.keys(report.averages[0].traitMeans);
+    lines.push(["Gen", "Het", "F", "Price", "Target", ...traitKeys].map(cell => cell.padStart(6)).join(" "));
+    
+    report.averages.forEach(row => {
+        lines.push([
+            String(row.generation),
+            fixed(row.heterozygosity),
+            fixed(row.averageInbreeding),
+            fixed(row.averageSellPrice, 1),
+            row.targetShare === null ? "-" : fixed(row.targetShare),
+            ...traitKeys.map(key => fixed(row.traitMeans[key]))
+        ].map(cell => cell.padStart(6)).join(" "));
+    });
+    
+    if (report.target) {
+        lines.push("");
+        lines.push(`Target reached in ${report.target.runsReached}/${report.target.runs} runs` +
+            (report.target.runsReached ?
+                ` after ${fixed(report.target.averageGenerations, 1)} generations on average ` +
+                `(fastest ${report.target.fastest}, slowest ${report.target.slowest})` :
+                ""));
+    }
+    
+    // Final qualitative phenotype mix of the first run
+    const last = report.runs[0].generations[report.runs[0].generations.length - 1];
+    lines.push("");
+    Object.keys(last.phenotypeFrequencies).forEach(key => {
+        const mix = Object.entries(last.phenotypeFrequencies[key])
+            .sort((a, b) => b[1] - a[1])
+            .map(([name, share]) => `${name} ${Math.round(share * 100)}%`)
+            .join(", ");
+        lines.push(`${GENE_TRAITS[key].name} (run 1, last generation): ${mix}`);
+    });
+    
+    return lines.join("\n");
+}
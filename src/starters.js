@@ -0,0 +1,76 @@
+// Plant Genetics System: starter plants
+// Random plants and the built-in starter varieties.
+
+import { GENE_TRAITS } from "./traits.js";
+import { formatQuantitativeAlleles, getAlleleScale, getTraitLoci } from "./genes.js";
+import { Plant } from "./plant.js";
+
+// ============== INTEGRATION HELPERS ==============
+
+// Helper to create a new random plant
+// options.random: random source for the gene rolls, also handed to the plant
+// options.events: EventBus the plant reports to
+export function createRandomPlant(options = {}) {
+    const random = options.random || Math.random;
+    
+    // Generate random genes for each trait
+    const genes = {};
+    
+    Object.keys(GENE_TRAITS).forEach(key => {
+        const trait = GENE_TRAITS[key];
+        
+        if (trait.type === "qualitative") {
+            // For qualitative traits, randomly select alleles (novel
+            // alleles only come from mutations)
+            const alleleKeys = Object.keys(trait.alleles).filter(allele => !trait.alleles[allele].novel);
+            const allele1 = alleleKeys[Math.floor(random() * alleleKeys.length)];
+            const allele2 = alleleKeys[Math.floor(random() * alleleKeys.length)];
+            genes[key] = allele1 + allele2;
+        } else if (trait.type === "quantitative") {
+            // For quantitative traits, roll every allele independently
+            // within range, so random plants can be heterozygous too
+            const scale = getAlleleScale(trait);
+            const low = Math.round(trait.min * scale);
+            const high = Math.round(trait.max * scale);
+            const alleles = [];
+            
+            for (let i = 0; i < getTraitLoci(trait) * 2; i++) {
+                alleles.push((Math.floor(random() * (high - low + 1)) + low) / scale);
+            }
+            
+            genes[key] = formatQuantitativeAlleles(trait, alleles);
+        }
+    });
+    
+    // Create gene sequence
+    const geneSequence = Object.keys(genes)
+        .map(key => `${key}:${genes[key]}`)
+        .join('-');
+    
+    return new Plant(geneSequence, { random, events: options.events });
+}
+
+// Helper to create starter plants of specific types
+export function createStarterPlant(type, options = {}) {
+    let geneSequence;
+    
+    switch (type) {
+        case "carrot":
+            // Carrot-like plant (orange, fast growing, high yield)
+            geneSequence = "FC:RY-SZ:22-LS:33-BP:11-GR:12-YD:44-RS:22-WN:22";
+            break;
+        case "tomato":
+            // Tomato-like plant (red, medium size, resistant)
+            geneSequence = "FC:RR-SZ:33-LS:11-BP:22-GR:10-YD:33-RS:33-WN:22";
+            break;
+        case "corn":
+            // Corn-like plant (yellow, tall, high yield, high water needs)
+            geneSequence = "FC:YY-SZ:55-LS:33-BP:33-GR:08-YD:55-RS:22-WN:33";
+            break;
+        default:
+            // Generic starter plant
+            geneSequence = "FC:RB-SZ:33-LS:11-BP:11-GR:10-YD:33-RS:22-WN:22";
+    }
+    
+    return new Plant(geneSequence, options);
+}
@@ -0,0 +1,788 @@
+// Plant Genetics System: traits
+// The genes plants carry (GENE_TRAITS), the registry that lets the game and
+// mods add traits, alleles, blends and interaction rules, and the
+// chromosome map that links genes together.
+
+import { interpolateValueMap } from "./genes.js";
+
+// ============== GENE DEFINITION AND MAPPING ==============
+
+// Define gene traits and their possible values
+export const GENE_TRAITS = {
+    // Visual Traits
+    FC: { // Flower Color
+        name: "Flower Color",
+        type: "qualitative",
+        alleles: {
+            R: { name: "Red", dominance: 2, value: "#FF5555" },
+            B: { name: "Blue", dominance: 2, value: "#5555FF" },
+            Y: { name: "Yellow", dominance: 2, value: "#FFFF55" },
+            W: { name: "White", dominance: 1, value: "#FFFFFF" },
+            P: { name: "Pink", dominance: 2, value: "#FF55FF" },
+            // Novel alleles only appear through rare mutations, and are
+            // recessive, so their colours stay hidden until homozygous
+            K: { name: "Midnight", dominance: 0, value: "#2B2B6B", novel: true, rarity: 4 },
+            G: { name: "Gold", dominance: 0, value: "#E6B422", novel: true, rarity: 4 },
+        },
+        // How alleles blend when heterozygous. rarity multiplies the market
+        // price of plants showing a colour (default 1).
+        blendMap: {
+            "RB": { name: "Purple", value: "#9955FF", rarity: 1.5 },
+            "RY": { name: "Orange", value: "#FF9955" },
+            "BY": { name: "Green", value: "#55FF55", rarity: 1.8 },
+            "RW": { name: "Light Red", value: "#FF9999" },
+            "BW": { name: "Light Blue", value: "#9999FF" },
+            "YW": { name: "Light Yellow", value: "#FFFF99" },
+            "RP": { name: "Deep Pink", value: "#FF5599", rarity: 1.3 },
+            "BP": { name: "Purple", value: "#9955FF", rarity: 1.5 },
+            "YP": { name: "Peach", value: "#FFAA77", rarity: 2 },
+        },
+        // Equally dominant alleles without a blend show both, as stripes
+        expression: { mode: "complete", pattern: "striped" },
+        defaultValue: "WW"
+    },
+    SZ: { // Size
+        name: "Size",
+        type: "quantitative",
+        min: 1,
+        max: 5,
+        defaultValue: 3,
+        // Mapping of size values to visual and gameplay effects
+        valueMap: {
+            1: { scale: 0.7, growthModifier: 1.2, waterModifier: 0.8 },
+            2: { scale: 0.85, growthModifier: 1.1, waterModifier: 0.9 },
+            3: { scale: 1.0, growthModifier: 1.0, waterModifier: 1.0 },
+            4: { scale: 1.15, growthModifier: 0.9, waterModifier: 1.1 },
+            5: { scale: 1.3, growthModifier: 0.8, waterModifier: 1.2 }
+        }
+    },
+    LS: { // Leaf Shape
+        name: "Leaf Shape",
+        type: "qualitative",
+        // Dominance hierarchy: Oval > Heart > Pointed
+        alleles: {
+            1: { name: "Oval", dominance: 3, value: "oval" },
+            2: { name: "Heart", dominance: 2, value: "heart" },
+            3: { name: "Pointed", dominance: 1, value: "pointed" },
+        },
+        defaultValue: "11"
+    },
+    BP: { // Branching Pattern
+        name: "Branching Pattern",
+        type: "quantitative",
+        min: 1,
+        max: 3,
+        defaultValue: 1,
+        valueMap: {
+            1: { branches: 1, angle: 0 },
+            2: { branches: 2, angle: 30 },
+            3: { branches: 3, angle: 25 }
+        }
+    },
+    AL: { // Albinism
+        name: "Albinism",
+        type: "qualitative",
+        alleles: {
+            N: { name: "Normal", dominance: 2, value: "normal" },
+            A: { name: "Albino", dominance: 1, value: "albino", novel: true }
+        },
+        defaultValue: "NN",
+        mutation: { rate: 0.01 },
+        // Albino plants make no pigment, whatever their flower colour genes say
+        epistasis: [
+            { masks: "FC", when: "Albino", phenotype: { name: "Albino", value: "#F4F1EA", rarity: 3 } }
+        ]
+    },
+    
+    // Statistical Traits
+    GR: { // Growth Rate
+        name: "Growth Rate",
+        type: "quantitative",
+        min: 0.5,
+        max: 1.5,
+        decimals: 1, // Alleles are written in tenths: "GR:12" is 1.2
+        defaultValue: 1.0,
+        // How growth rate affects the plant's development
+        valueMap: {
+            0.5: { daysToMature: 15 },
+            0.7: { daysToMature: 12 },
+            1.0: { daysToMature: 10 },
+            1.2: { daysToMature: 8 },
+            1.5: { daysToMature: 6 }
+        }
+    },
+    YD: { // Yield
+        name: "Yield",
+        type: "quantitative",
+        min: 1,
+        max: 5,
+        defaultValue: 3,
+        // Mapping yield to game rewards
+        valueMap: {
+            1: { coinMultiplier: 0.8, seedChance: 0.3 },
+            2: { coinMultiplier: 0.9, seedChance: 0.4 },
+            3: { coinMultiplier: 1.0, seedChance: 0.5 },
+            4: { coinMultiplier: 1.2, seedChance: 0.6 },
+            5: { coinMultiplier: 1.5, seedChance: 0.7 }
+        }
+    },
+    RS: { // Resistance
+        name: "Resistance",
+        type: "quantitative",
+        min: 1,
+        max: 3,
+        defaultValue: 2,
+        // How resistance affects vulnerability to pests and weather
+        valueMap: {
+            1: { pestDamageChance: 0.5, weatherDamageChance: 0.4 },
+            2: { pestDamageChance: 0.2, weatherDamageChance: 0.2 },
+            3: { pestDamageChance: 0.05, weatherDamageChance: 0.05 }
+        }
+    },
+    WN: { // Water Needs
+        name: "Water Needs",
+        type: "quantitative",
+        min: 1,
+        max: 3,
+        defaultValue: 2,
+        // Daily water requirements
+        valueMap: {
+            1: { waterPerDay: 10, droughtResistance: 0.7 },
+            2: { waterPerDay: 20, droughtResistance: 0.5 },
+            3: { waterPerDay: 30, droughtResistance: 0.3 }
+        }
+    }
+};
+
+// ============== TRAIT REGISTRY ==============
+
+// GENE_TRAITS above holds the built-in genes; the functions below let the game,
+// designers and mods add traits, alleles, blends and interaction rules at
+// runtime (or from JSON). Every definition is checked before it is stored.
+
+// Ordered list of interaction rules applied after the per-gene phenotype
+export const TRAIT_INTERACTIONS = [];
+
+// Characters reserved by the gene sequence format ("FC:RB-SZ:33")
+const RESERVED_GENE_CHARACTERS = ["-", ":"];
+
+// Check a trait definition and return a list of problems (empty when valid)
+export function validateTraitDefinition(key, definition) {
+    const problems = [];
+    
+    if (typeof key !== 'string' || !/^[A-Z][A-Z0-9]{1,3}$/.test(key)) {
+        problems.push(`key "${key}" must be 2-4 uppercase letters or digits, starting with a letter`);
+    }
+    
+    if (!definition || typeof definition !== 'object') {
+        problems.push("definition must be an object");
+        return problems;
+    }
+    
+    if (typeof definition.name !== 'string' || definition.name === "") {
+        problems.push("name must be a non-empty string");
+    }
+    
+    if (definition.type === "qualitative") {
+        const alleles = definition.alleles || {};
+        const alleleKeys = Object.keys(alleles);
+        
+        if (alleleKeys.length === 0) {
+            problems.push("qualitative traits need at least one allele");
+        }
+        
+        alleleKeys.forEach(alleleKey => {
+            const allele = alleles[alleleKey];
+            
+            if (alleleKey.length !== 1 || RESERVED_GENE_CHARACTERS.includes(alleleKey)) {
+                problems.push(`allele "${alleleKey}" must be a single character other than - or :`);
+            }
+            if (!allele || typeof allele.name !== 'string') {
+                problems.push(`allele "${alleleKey}" needs a name`);
+            }
+            if (!allele || typeof allele.dominance !== 'number' || !isFinite(allele.dominance)) {
+                problems.push(`allele "${alleleKey}" needs a numeric dominance`);
+            }
+            if (!allele || allele.value === undefined) {
+                problems.push(`allele "${alleleKey}" needs a value`);
+            }
+            if (allele && allele.novel !== undefined && typeof allele.novel !== 'boolean') {
+                problems.push(`allele "${alleleKey}" novel must be true or false`);
+            }
+            if (allele && allele.rarity !== undefined && !(typeof allele.rarity === 'number' && allele.rarity > 0)) {
+                problems.push(`allele "${alleleKey}" rarity must be a positive number`);
+            }
+        });
+        
+        if (alleleKeys.length > 0 && alleleKeys.every(alleleKey => alleles[alleleKey]?.novel)) {
+            problems.push("qualitative traits need at least one allele that is not novel");
+        }
+        
+        Object.keys(definition.blendMap || {}).forEach(blendKey => {
+            const blend = definition.blendMap[blendKey];
+            
+            if (blendKey.length !== 2 || !alleles[blendKey[0]] || !alleles[blendKey[1]]) {
+                problems.push(`blend "${blendKey}" must name two known alleles`);
+            } else if (blendKey[0] === blendKey[1]) {
+                problems.push(`blend "${blendKey}" must combine two different alleles`);
+            }
+            if (!blend || typeof blend.name !== 'string' || blend.value === undefined) {
+                problems.push(`blend "${blendKey}" needs a name and a value`);
+            }
+            if (blend && blend.rarity !== undefined && !(typeof blend.rarity === 'number' && blend.rarity > 0)) {
+                problems.push(`blend "${blendKey}" rarity must be a positive number`);
+            }
+        });
+        
+        const defaultValue = definition.defaultValue;
+        if (typeof defaultValue !== 'string' || defaultValue.length !== 2 ||
+            !alleles[defaultValue[0]] || !alleles[defaultValue[1]]) {
+            problems.push(`defaultValue "${defaultValue}" must be two known alleles`);
+        }
+    } else if (definition.type === "quantitative") {
+        const { min, max, defaultValue } = definition;
+        
+        if (typeof min !== 'number' || typeof max !== 'number' || !(min < max)) {
+            problems.push("min and max must be numbers with min < max");
+        } else if (typeof defaultValue !== 'number' || defaultValue < min || defaultValue > max) {
+            problems.push(`defaultValue must be a number between ${min} and ${max}`);
+        }
+        
+        if (definition.decimals !== undefined &&
+            (!Number.isInteger(definition.decimals) || definition.decimals < 0)) {
+            problems.push("decimals must be a non-negative integer");
+        } else if (typeof min === 'number' && typeof max === 'number') {
+            // Gene values are written as digits, so the range must be
+            // non-negative and land on the trait's decimal step
+            const scale = Math.pow(10, definition.decimals || 0);
+            
+            if (min < 0) {
+                problems.push("min must not be negative");
+            }
+            if (Math.abs(min * scale - Math.round(min * scale)) > 1e-9 ||
+                Math.abs(max * scale - Math.round(max * scale)) > 1e-9) {
+                problems.push(`min and max must be multiples of ${1 / scale}; set decimals for fractional values`);
+            }
+        }
+        
+        if (definition.loci !== undefined &&
+            (!Number.isInteger(definition.loci) || definition.loci < 1)) {
+            problems.push("loci must be a positive integer");
+        }
+        
+        if (!definition.valueMap || typeof definition.valueMap !== 'object') {
+            problems.push("quantitative traits need a valueMap");
+        } else {
+            Object.keys(definition.valueMap).forEach(valueKey => {
+                const value = Number(valueKey);
+                
+                if (isNaN(value) || value < min || value > max) {
+                    problems.push(`valueMap key ${valueKey} is outside ${min}-${max}`);
+                }
+                if (!definition.valueMap[valueKey] || typeof definition.valueMap[valueKey] !== 'object') {
+                    problems.push(`valueMap entry ${valueKey} must be an object`);
+                }
+            });
+        }
+    } else {
+        problems.push(`type must be "qualitative" or "quantitative", got "${definition.type}"`);
+    }
+    
+    if (definition.mutation !== undefined) {
+        validateMutationSettings(definition).forEach(problem => problems.push(problem));
+    }
+    
+    validateExpressionSettings(definition).forEach(problem => problems.push(problem));
+    
+    return problems;
+}
+
+// How heterozygotes are expressed, set per trait with `expression`:
+// - qualitative { mode, steepness, pattern }. mode "complete" (default): the
+//   more dominant allele wins and equally dominant ones are both shown;
+//   "codominant": both alleles are always shown; "incomplete": the alleles'
+//   values are mixed, weighted by dominance^steepness (default 1).
+//   pattern names how shown-together alleles look ("striped").
+// - quantitative { dominance } from -1 to 1: 0 (default) is additive, 1
+//   makes the higher allele of each locus fully dominant, -1 the lower.
+// Blends in blendMap always take precedence.
+const EXPRESSION_MODES = ["complete", "codominant", "incomplete"];
+
+// Check a trait's expression and epistasis settings
+function validateExpressionSettings(definition) {
+    const problems = [];
+    const expression = definition.expression;
+    
+    if (expression !== undefined) {
+        if (!expression || typeof expression !== 'object') {
+            problems.push("expression must be an object");
+        } else if (definition.type === "qualitative") {
+            if (expression.mode !== undefined && !EXPRESSION_MODES.includes(expression.mode)) {
+                problems.push(`expression.mode must be one of ${EXPRESSION_MODES.join(", ")}`);
+            }
+            if (expression.steepness !== undefined &&
+                !(typeof expression.steepness === 'number' && expression.steepness > 0)) {
+                problems.push("expression.steepness must be a positive number");
+            }
+            if (expression.pattern !== undefined && typeof expression.pattern !== 'string') {
+                problems.push("expression.pattern must be a string");
+            }
+        } else if (expression.dominance !== undefined &&
+            !(typeof expression.dominance === 'number' && expression.dominance >= -1 && expression.dominance <= 1)) {
+            problems.push("expression.dominance must be a number from -1 to 1");
+        }
+    }
+    
+    // Epistasis: [{ masks, when, phenotype }] - when this trait's phenotype
+    // matches `when` (see matchesTraitCondition), the properties in
+    // `phenotype` override those of the masked trait
+    if (definition.epistasis !== undefined) {
+        if (!Array.isArray(definition.epistasis)) {
+            problems.push("epistasis must be a list of rules");
+        } else {
+            definition.epistasis.forEach((rule, index) => {
+                if (!rule || typeof rule.masks !== 'string') {
+                    problems.push(`epistasis rule ${index} needs the key of the trait it masks`);
+                }
+                if (!rule || rule.when === undefined) {
+                    problems.push(`epistasis rule ${index} needs a when condition`);
+                }
+                if (!rule || !rule.phenotype || typeof rule.phenotype !== 'object') {
+                    problems.push(`epistasis rule ${index} needs a phenotype object`);
+                }
+            });
+        }
+    }
+    
+    return problems;
+}
+
+// Check a trait's mutation settings: { rate, transitions, novelWeight }.
+// Qualitative transitions weight the replacement alleles of each allele,
+// { R: { P: 3, Y: 1 } }; quantitative ones weight step changes,
+// { "-1": 1, "1": 1, "2": 0.2 }.
+function validateMutationSettings(definition) {
+    const problems = [];
+    const mutation = definition.mutation;
+    const isWeight = weight => typeof weight === 'number' && isFinite(weight) && weight >= 0;
+    
+    if (!mutation || typeof mutation !== 'object') {
+        return ["mutation must be an object"];
+    }
+    
+    if (mutation.rate !== undefined && !(isWeight(mutation.rate) && mutation.rate <= 1)) {
+        problems.push("mutation.rate must be a number from 0 to 1");
+    }
+    if (mutation.novelWeight !== undefined && !isWeight(mutation.novelWeight)) {
+        problems.push("mutation.novelWeight must be a non-negative number");
+    }
+    
+    const transitions = mutation.transitions || {};
+    
+    Object.keys(transitions).forEach(from => {
+        const weights = transitions[from];
+        
+        if (definition.type === "qualitative") {
+            if (!definition.alleles?.[from]) {
+                problems.push(`mutation transitions name unknown allele "${from}"`);
+            }
+            if (!weights || typeof weights !== 'object') {
+                problems.push(`mutation transitions for "${from}" must map alleles to weights`);
+                return;
+            }
+            
+            Object.keys(weights).forEach(to => {
+                if (!definition.alleles?.[to]) {
+                    problems.push(`mutation transition ${from}>${to} names unknown allele "${to}"`);
+                } else if (!isWeight(weights[to])) {
+                    problems.push(`mutation transition ${from}>${to} needs a non-negative weight`);
+                }
+            });
+        } else if (!Number.isInteger(Number(from)) || Number(from) === 0 || !isWeight(weights)) {
+            problems.push(`mutation step "${from}" must be a non-zero whole number of steps with a non-negative weight`);
+        }
+    });
+    
+    return problems;
+}
+
+// Blend keys are looked up with the two alleles sorted, so store them that way
+function normalizeBlendMap(blendMap) {
+    const normalized = {};
+    
+    Object.keys(blendMap || {}).forEach(blendKey => {
+        normalized[blendKey.split("").sort().join("")] = blendMap[blendKey];
+    });
+    
+    return normalized;
+}
+
+// Add a new trait to the registry. Pass { replace: true } to redefine one.
+export function registerTrait(key, definition, options = {}) {
+    const problems = validateTraitDefinition(key, definition);
+    
+    if (GENE_TRAITS[key] && GENE_TRAITS[key] !== definition && !options.replace) {
+        problems.push(`trait ${key} is already registered`);
+    }
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid trait ${key}: ${problems.join("; ")}`);
+    }
+    
+    if (definition.type === "qualitative") {
+        definition.blendMap = normalizeBlendMap(definition.blendMap);
+    }
+    
+    GENE_TRAITS[key] = definition;
+    
+    return definition;
+}
+
+// Add alleles to an existing qualitative trait
+export function registerAlleles(key, alleles) {
+    const trait = GENE_TRAITS[key];
+    
+    if (!trait || trait.type !== "qualitative") {
+        throw new Error(`Cannot add alleles: ${key} is not a registered qualitative trait`);
+    }
+    
+    return registerTrait(key, {
+        ...trait,
+        alleles: { ...trait.alleles, ...alleles }
+    }, { replace: true });
+}
+
+// Add blends (heterozygous results) to an existing qualitative trait
+export function registerBlends(key, blendMap) {
+    const trait = GENE_TRAITS[key];
+    
+    if (!trait || trait.type !== "qualitative") {
+        throw new Error(`Cannot add blends: ${key} is not a registered qualitative trait`);
+    }
+    
+    return registerTrait(key, {
+        ...trait,
+        blendMap: { ...trait.blendMap, ...blendMap }
+    }, { replace: true });
+}
+
+// Read a trait value or a trait property (e.g. { trait: "SZ", property: "waterModifier" })
+function readInteractionOperand(phenotype, operand) {
+    if (typeof operand === 'number') return operand;
+    
+    const trait = phenotype[operand.trait];
+    if (!trait) return undefined;
+    
+    return trait[operand.property || "value"];
+}
+
+// Turn a declarative (JSON) interaction rule into a function. Rule format:
+// { id, target, property, from, multiplyBy, add, round, min, max, when }
+// where multiplyBy/add are numbers or { trait, property } references and
+// when is { trait, property, gt | gte | lt | lte | eq }.
+function compileInteractionRule(rule) {
+    return function(phenotype) {
+        const target = phenotype[rule.target];
+        if (!target) return;
+        
+        if (rule.when) {
+            const actual = readInteractionOperand(phenotype, rule.when);
+            if (actual === undefined) return;
+            if (rule.when.gt !== undefined && !(actual > rule.when.gt)) return;
+            if (rule.when.gte !== undefined && !(actual >= rule.when.gte)) return;
+            if (rule.when.lt !== undefined && !(actual < rule.when.lt)) return;
+            if (rule.when.lte !== undefined && !(actual <= rule.when.lte)) return;
+            if (rule.when.eq !== undefined && actual !== rule.when.eq) return;
+        }
+        
+        let value = target[rule.from || rule.property];
+        if (typeof value !== 'number') return;
+        
+        if (rule.multiplyBy !== undefined) {
+            const factor = readInteractionOperand(phenotype, rule.multiplyBy);
+            value *= typeof factor === 'number' ? factor : 1;
+        }
+        if (rule.add !== undefined) {
+            const offset = readInteractionOperand(phenotype, rule.add);
+            value += typeof offset === 'number' ? offset : 0;
+        }
+        if (rule.min !== undefined) value = Math.max(rule.min, value);
+        if (rule.max !== undefined) value = Math.min(rule.max, value);
+        if (rule.round) value = Math.round(value);
+        
+        target[rule.property] = value;
+    };
+}
+
+// Check an interaction rule and return a list of problems (empty when valid).
+// traitKeys: the traits it may refer to (the registered ones by default)
+function validateInteractionRule(rule, traitKeys = Object.keys(GENE_TRAITS)) {
+    const problems = [];
+    
+    if (!rule || typeof rule !== 'object') {
+        return ["rule must be an object"];
+    }
+    
+    if (typeof rule.id !== 'string' || rule.id === "") {
+        problems.push("rule needs a string id");
+    }
+    
+    // Function rules are trusted to read whatever they need
+    if (typeof rule.apply === 'function') return problems;
+    
+    if (!traitKeys.includes(rule.target)) {
+        problems.push(`target "${rule.target}" is not a registered trait`);
+    }
+    if (typeof rule.property !== 'string') {
+        problems.push("rule needs a target property");
+    }
+    
+    ["multiplyBy", "add", "when"].forEach(field => {
+        const operand = rule[field];
+        if (operand === undefined || typeof operand === 'number') return;
+        
+        if (typeof operand !== 'object' || !traitKeys.includes(operand.trait)) {
+            problems.push(`${field} must be a number or reference a registered trait`);
+        }
+    });
+    
+    return problems;
+}
+
+// Add (or replace, by id) a trait interaction rule. Rules are either
+// { id, apply(phenotype, genes, plant) } or a declarative rule (see above).
+export function registerTraitInteraction(rule) {
+    const problems = validateInteractionRule(rule);
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid trait interaction ${rule && rule.id}: ${problems.join("; ")}`);
+    }
+    
+    const compiled = {
+        id: rule.id,
+        apply: typeof rule.apply === 'function' ? rule.apply : compileInteractionRule(rule),
+        definition: rule
+    };
+    
+    const existingIndex = TRAIT_INTERACTIONS.findIndex(existing => existing.id === rule.id);
+    if (existingIndex !== -1) {
+        TRAIT_INTERACTIONS[existingIndex] = compiled;
+    } else {
+        TRAIT_INTERACTIONS.push(compiled);
+    }
+    
+    return compiled;
+}
+
+// Load traits, interactions and chromosomes from JSON (string or parsed
+// object): { "traits": { "FR": { ... } }, "interactions": [ { ... } ],
+// "chromosomes": { "2": { "name": "...", "genes": { "FR": 0 } } } }
+// Everything is validated first, so a bad file registers nothing.
+export function loadTraitDefinitions(json, options = {}) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const traits = data.traits || {};
+    const interactions = data.interactions || [];
+    const chromosomes = data.chromosomes || {};
+    const problems = [];
+    
+    Object.keys(traits).forEach(key => {
+        validateTraitDefinition(key, traits[key]).forEach(problem => {
+            problems.push(`${key}: ${problem}`);
+        });
+        
+        if (GENE_TRAITS[key] && !options.replace) {
+            problems.push(`${key}: trait is already registered`);
+        }
+    });
+    
+    const traitKeys = Object.keys(GENE_TRAITS).concat(Object.keys(traits));
+    interactions.forEach((rule, index) => {
+        validateInteractionRule(rule, traitKeys).forEach(problem => {
+            problems.push(`interaction ${(rule && rule.id) || index}: ${problem}`);
+        });
+    });
+    
+    Object.keys(chromosomes).forEach(id => {
+        validateChromosomeDefinition(id, chromosomes[id], traitKeys).forEach(problem => {
+            problems.push(`chromosome ${id}: ${problem}`);
+        });
+    });
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid trait definitions: ${problems.join("; ")}`);
+    }
+    
+    Object.keys(traits).forEach(key => registerTrait(key, traits[key], options));
+    interactions.forEach(rule => registerTraitInteraction(rule));
+    Object.keys(chromosomes).forEach(id => registerChromosome(id, chromosomes[id], options));
+    
+    return Object.keys(traits);
+}
+
+// Built-in traits go through the same checks as registered ones
+Object.keys(GENE_TRAITS).forEach(key => registerTrait(key, GENE_TRAITS[key]));
+
+// Built-in interaction rules
+registerTraitInteraction({
+    // Growth Rate (GR) affects time to mature and is affected by Size (SZ)
+    id: "size-growth",
+    apply(phenotype) {
+        if (!phenotype.GR || !phenotype.SZ) return;
+        
+        const sizeEffect = phenotype.SZ.growthModifier || 1.0;
+        phenotype.GR.effectiveValue = phenotype.GR.value * sizeEffect;
+        
+        // Recalculate days to mature based on effective growth rate
+        const baseGrowthDays = interpolateValueMap(GENE_TRAITS.GR, phenotype.GR.value).daysToMature || 10;
+        phenotype.GR.daysToMature = Math.round(baseGrowthDays / sizeEffect);
+    }
+});
+
+registerTraitInteraction({
+    // Water Needs (WN) is affected by Size (SZ)
+    id: "size-water",
+    apply(phenotype) {
+        if (!phenotype.WN || !phenotype.SZ) return;
+        
+        const sizeEffect = phenotype.SZ.waterModifier || 1.0;
+        const baseWaterNeeds = phenotype.WN.waterPerDay || 20;
+        phenotype.WN.effectiveWaterPerDay = Math.round(baseWaterNeeds * sizeEffect);
+    }
+});
+
+registerTraitInteraction({
+    // High Growth Rate (GR) reduces Resistance (RS)
+    id: "growth-resistance",
+    apply(phenotype) {
+        if (phenotype.GR && phenotype.RS && phenotype.GR.value > 1.2) {
+            // Growth-resistance trade-off
+            phenotype.RS.effectivePestDamageChance = 
+                phenotype.RS.pestDamageChance * (1 + (phenotype.GR.value - 1.0) * 0.5);
+            
+            // Ensure it doesn't exceed 100%
+            phenotype.RS.effectivePestDamageChance = 
+                Math.min(1.0, phenotype.RS.effectivePestDamageChance);
+        } else if (phenotype.RS) {
+            phenotype.RS.effectivePestDamageChance = phenotype.RS.pestDamageChance;
+        }
+    }
+});
+
+// Share of yield lost by a fully inbred plant (inbreeding coefficient 1)
+const INBREEDING_DEPRESSION = 0.5;
+
+registerTraitInteraction({
+    // Inbreeding depression: yield drops with the plant's coefficient of
+    // inbreeding, which PlantBreeder works out from the pedigree
+    id: "inbreeding-depression",
+    apply(phenotype, genes, plant) {
+        if (!phenotype.YD) return;
+        
+        const coefficient = plant?.inbreedingCoefficient || 0;
+        const inbreedingFactor = 1.0 - coefficient * INBREEDING_DEPRESSION;
+        phenotype.YD.effectiveCoinMultiplier = phenotype.YD.coinMultiplier * inbreedingFactor;
+    }
+});
+
+// ============== CHROMOSOMES ==============
+
+// Optional linkage map. Genes placed on a chromosome sit at a position in
+// centiMorgans (cM) and are inherited together with their neighbours:
+// crossovers happen at random along the chromosome (on average one per
+// 100 cM), so the further apart two genes are, the more often they
+// recombine. Genes that are on no chromosome assort independently.
+// Chromosome ID -> { id, name, genes: [{ key, position }] } sorted by position
+export const CHROMOSOMES = {};
+
+// Check a chromosome definition { name, genes: { SZ: 0, WN: 12 } } and
+// return a list of problems. traitKeys are the genes that may be placed.
+function validateChromosomeDefinition(id, definition, traitKeys = Object.keys(GENE_TRAITS)) {
+    const problems = [];
+    
+    if (typeof id !== 'string' || id === "") {
+        problems.push("id must be a non-empty string");
+    }
+    if (!definition || typeof definition !== 'object') {
+        return problems.concat("definition must be an object");
+    }
+    if (typeof definition.name !== 'string' || definition.name === "") {
+        problems.push("name must be a non-empty string");
+    }
+    
+    const genes = definition.genes || {};
+    if (Object.keys(genes).length === 0) {
+        problems.push("genes must place at least one gene");
+    }
+    
+    Object.keys(genes).forEach(key => {
+        const position = genes[key];
+        const location = getGeneLocation(key);
+        
+        if (!traitKeys.includes(key)) {
+            problems.push(`gene ${key} is not a registered trait`);
+        }
+        if (typeof position !== 'number' || !isFinite(position) || position < 0) {
+            problems.push(`position of ${key} must be a non-negative number of cM`);
+        }
+        if (location && location.chromosome !== id) {
+            problems.push(`gene ${key} is already on chromosome ${location.chromosome}`);
+        }
+    });
+    
+    return problems;
+}
+
+// Add a chromosome to the linkage map. Pass { replace: true } to redefine one.
+export function registerChromosome(id, definition, options = {}) {
+    const problems = validateChromosomeDefinition(id, definition);
+    
+    if (CHROMOSOMES[id] && !options.replace) {
+        problems.push(`chromosome ${id} is already registered`);
+    }
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid chromosome ${id}: ${problems.join("; ")}`);
+    }
+    
+    CHROMOSOMES[id] = {
+        id,
+        name: definition.name,
+        genes: Object.keys(definition.genes)
+            .map(key => ({ key, position: definition.genes[key] }))
+            .sort((a, b) => a.position - b.position)
+    };
+    
+    return CHROMOSOMES[id];
+}
+
+// Where a gene sits: { chromosome, position }, or null if it's unlinked
+export function getGeneLocation(key) {
+    for (const chromosome of Object.values(CHROMOSOMES)) {
+        const gene = chromosome.genes.find(entry => entry.key === key);
+        if (gene) return { chromosome: chromosome.id, position: gene.position };
+    }
+    
+    return null;
+}
+
+// Chance that two genes end up on different parental strands in a gamete
+// (Haldane's map function); 0.5 for genes that aren't linked
+export function getRecombinationFrequency(keyA, keyB) {
+    const locationA = getGeneLocation(keyA);
+    const locationB = getGeneLocation(keyB);
+    
+    if (!locationA || !locationB || locationA.chromosome !== locationB.chromosome) {
+        return 0.5;
+    }
+    
+    const distance = Math.abs(locationA.position - locationB.position);
+    return (1 - Math.exp(-2 * distance / 100)) / 2;
+}
+
+// Linkage map for the built-in genes: size sits close to water needs,
+// resistance further along. It's left unloaded, so by default every gene
+// assorts independently; turn linkage on with
+// loadTraitDefinitions({ chromosomes: BUILT_IN_CHROMOSOMES }).
+export const BUILT_IN_CHROMOSOMES = {
+    "1": { name: "Chromosome 1", genes: { SZ: 0, WN: 12, RS: 45 } }
+};
@@ -0,0 +1,131 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Plant,
+    PlantBreeder,
+    analyzePopulation,
+    createSeededRandom,
+    getAlleleFrequencies,
+    getCrossingTrends,
+    getEffectivePopulationSize,
+    getPhenotypeDistribution
+} from "../src/index.js";
+
+// Plants with the given flower colour genotypes: { RR: 2, RB: 1 }
+function population(counts, options = {}) {
+    return Object.keys(counts).flatMap(genotype =>
+        Array.from({ length: counts[genotype] }, () => new Plant(`FC:${genotype}`, options)));
+}
+
+describe("analyzePopulation", () => {
+    test("counts allele frequencies per locus", () => {
+        const frequencies = getAlleleFrequencies(population({ RR: 1, RB: 2, BB: 1 }));
+        
+        assert.deepEqual(frequencies.FC, { R: 0.5, B: 0.5 });
+        assert.deepEqual(Object.keys(frequencies.GR), ["1"]);
+    });
+    
+    test("finds a population in Hardy-Weinberg equilibrium", () => {
+        const { FC } = analyzePopulation(population({ RR: 25, RB: 50, BB: 25 })).loci;
+        
+        assert.equal(FC.observedHeterozygosity, 0.5);
+        assert.ok(Math.abs(FC.expectedHeterozygosity - 0.5) < 0.01);
+        assert.ok(Math.abs(FC.fixationIndex) < 0.01);
+        assert.equal(FC.hardyWeinberg.chiSquare, 0);
+        assert.equal(FC.hardyWeinberg.degreesOfFreedom, 1);
+        assert.equal(FC.hardyWeinberg.pValue, 1);
+    });
+    
+    test("flags a heterozygote deficit", () => {
+        const analysis = analyzePopulation(population({ RR: 50, BB: 50 }));
+        const { FC } = analysis.loci;
+        
+        assert.equal(FC.observedHeterozygosity, 0);
+        assert.ok(FC.fixationIndex > 0.99);
+        assert.ok(FC.hardyWeinberg.pValue < 1e-6);
+        assert.ok(analysis.warnings.some(warning => warning.code === "heterozygote_deficit" && warning.locus === "FC"));
+    });
+    
+    test("gives the chi-square p-value", () => {
+        // 40 RR, 40 RB, 20 BB: p = 0.6, chi-square 2.78 on one degree of freedom
+        const { hardyWeinberg } = analyzePopulation(population({ RR: 40, RB: 40, BB: 20 })).loci.FC;
+        
+        assert.ok(Math.abs(hardyWeinberg.chiSquare - 2.7778) < 1e-3);
+        assert.ok(Math.abs(hardyWeinberg.pValue - 0.0956) < 1e-3);
+    });
+    
+    test("flags fixed loci and inbreeding", () => {
+        const analysis = analyzePopulation(population({ RR: 4 }, { inbreedingCoefficient: 0.5 }));
+        const codes = analysis.warnings.map(warning => warning.code);
+        
+        assert.equal(analysis.meanInbreeding, 0.5);
+        assert.equal(analysis.loci.FC.hardyWeinberg, null);
+        assert.ok(codes.includes("inbred"));
+        assert.ok(analysis.warnings.some(warning => warning.code === "fixed" && warning.locus === "FC"));
+    });
+    
+    test("shares out phenotypes", () => {
+        const distribution = getPhenotypeDistribution(population({ RR: 1, RB: 2, BB: 1 }));
+        
+        assert.deepEqual(distribution.FC, { Red: 0.25, Purple: 0.5, Blue: 0.25 });
+        assert.deepEqual(distribution.SZ, { 3: 1 });
+    });
+});
+
+describe("getEffectivePopulationSize", () => {
+    test("is larger than the parents when they contribute evenly", () => {
+        // Four parents, each a parent of two plants: no variance in family size
+        const plants = [["a", "b"], ["c", "d"], ["a", "c"], ["b", "d"]]
+            .map(parents => new Plant(null, { parents, generation: 1 }));
+        
+        const size = getEffectivePopulationSize(plants);
+        
+        assert.equal(size.census, 4);
+        assert.equal(size.fromFamilySize, 7);
+        assert.equal(size.fromInbreeding, null);
+    });
+    
+    test("shrinks when one parent dominates", () => {
+        const plants = [["a", "b"], ["a", "c"], ["a", "d"], ["a", "a"]]
+            .map(parents => new Plant(null, { parents, generation: 1 }));
+        
+        // Contributions 5, 1, 1, 1: mean 2, variance 3, so (4 * 2 - 1) / (1 + 3 / 2)
+        assert.ok(Math.abs(getEffectivePopulationSize(plants).fromFamilySize - 2.8) < 1e-9);
+    });
+    
+    test("follows the rise in inbreeding", () => {
+        const plants = [
+            new Plant(null, { generation: 0, inbreedingCoefficient: 0 }),
+            new Plant(null, { generation: 2, inbreedingCoefficient: 0.19 })
+        ];
+        
+        assert.ok(Math.abs(getEffectivePopulationSize(plants).fromInbreeding - 5) < 1e-9);
+    });
+});
+
+describe("getCrossingTrends", () => {
+    test("tracks diversity generation by generation", () => {
+        const breeder = new PlantBreeder({ random: createSeededRandom("selfing"), mutationRate: 0 });
+        let plants = population({ RB: 2 });
+        
+        for (let generation = 0; generation < 4; generation++) {
+            plants = [0, 1, 2, 3].map(() => breeder.crossPlants(plants[0], plants[0]));
+        }
+        
+        const { generations, warnings } = getCrossingTrends(breeder);
+        
+        assert.deepEqual(generations.map(entry => entry.generation), [1, 2, 3, 4]);
+        generations.forEach(entry => {
+            assert.equal(entry.crosses, 4);
+            assert.equal(entry.parents, 1);
+            assert.equal(entry.mutations, 0);
+        });
+        assert.deepEqual(generations.map(entry => entry.meanInbreeding), [0.5, 0.75, 0.875, 0.9375]);
+        assert.ok(warnings.some(warning => warning.code === "inbred"));
+    });
+    
+    test("is empty without crosses", () => {
+        assert.deepEqual(getCrossingTrends(new PlantBreeder()), { generations: [], warnings: [] });
+    });
+});
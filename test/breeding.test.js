@@ -0,0 +1,168 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GENE_TRAITS, Plant, PlantBreeder, createSeededRandom, validateGeneSequence } from "../src/index.js";
+import { PROPERTY_RUNS, randomGeneSequence, randomGeneValue } from "./helpers.js";
+
+// Breeder with a seeded random source
+const createBreeder = (seed, options = {}) => new PlantBreeder({ random: createSeededRandom(seed), ...options });
+
+describe("PlantBreeder.crossPlants", () => {
+    test("gives each offspring one allele from each parent", () => {
+        const breeder = createBreeder("alleles", { mutationRate: 0 });
+        const red = new Plant("FC:RR-LS:11");
+        const blue = new Plant("FC:BB-LS:33");
+        
+        for (let i = 0; i < 50; i++) {
+            const child = breeder.crossPlants(red, blue);
+            
+            assert.deepEqual(child.genes.FC.split("").sort(), ["B", "R"]);
+            assert.deepEqual(child.genes.LS.split("").sort(), ["1", "3"]);
+            assert.deepEqual(child.parents, [red.id, blue.id]);
+            assert.equal(child.generation, 1);
+        }
+    });
+    
+    test("segregates heterozygotes 1:2:1", () => {
+        const breeder = createBreeder("mendel", { mutationRate: 0 });
+        const parent = new Plant("LS:13");
+        const counts = { 11: 0, 13: 0, 33: 0 };
+        const crosses = 2000;
+        
+        for (let i = 0; i < crosses; i++) {
+            const genotype = breeder.crossPlants(parent, parent).genes.LS.split("").sort().join("");
+            counts[genotype]++;
+        }
+        
+        assert.ok(Math.abs(counts[11] / crosses - 0.25) < 0.04, JSON.stringify(counts));
+        assert.ok(Math.abs(counts[13] / crosses - 0.5) < 0.04, JSON.stringify(counts));
+        assert.ok(Math.abs(counts[33] / crosses - 0.25) < 0.04, JSON.stringify(counts));
+    });
+    
+    test("reproduces the same offspring from the same seed", () => {
+        const parentA = new Plant(randomGeneSequence(createSeededRandom("a")));
+        const parentB = new Plant(randomGeneSequence(createSeededRandom("b")));
+        const cross = () => {
+            const breeder = createBreeder("replay");
+            return [1, 2, 3].map(() => breeder.crossPlants(parentA, parentB).toGeneSequence());
+        };
+        
+        assert.deepEqual(cross(), cross());
+    });
+    
+    test("returns null without two parents", () => {
+        assert.equal(createBreeder("missing").crossPlants(new Plant(), null), null);
+    });
+});
+
+describe("mutation bounds", () => {
+    test("every mutation outcome is a valid gene and the odds add up to 1", () => {
+        const breeder = createBreeder("outcomes");
+        const random = createSeededRandom("outcome genes");
+        const keys = Object.keys(GENE_TRAITS);
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            const key = keys[run % keys.length];
+            const gene = randomGeneValue(key, random);
+            const outcomes = breeder.getMutationOutcomes(gene, key, ["radiation"]);
+            const total = outcomes.reduce((sum, outcome) => sum + outcome.probability, 0);
+            
+            assert.ok(Math.abs(total - 1) < 1e-9, `${key}:${gene} outcomes add up to ${total}`);
+            outcomes.forEach(outcome => {
+                assert.equal(validateGeneSequence(`${key}:${outcome.gene}`).valid, true, `${key}:${gene} -> ${outcome.gene}`);
+            });
+        }
+    });
+    
+    test("mutations at the edge of a range stay in range", () => {
+        const breeder = createBreeder("edges");
+        
+        Object.keys(GENE_TRAITS).filter(key => GENE_TRAITS[key].type === "quantitative").forEach(key => {
+            const trait = GENE_TRAITS[key];
+            [trait.min, trait.max].forEach(edge => {
+                const gene = new Plant(`${key}:${edge * 10 ** (trait.decimals || 0)}`).genes[key];
+                
+                breeder.getMutationOutcomes(gene, key).forEach(outcome => {
+                    assert.ok(outcome.to >= trait.min && outcome.to <= trait.max, `${key}:${gene} -> ${outcome.gene}`);
+                });
+            });
+        });
+    });
+    
+    test("heavily mutated offspring always have valid genes", () => {
+        const breeder = createBreeder("mutants", { mutationRate: 1 });
+        const random = createSeededRandom("mutant parents");
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            const parentA = new Plant(randomGeneSequence(random));
+            const parentB = new Plant(randomGeneSequence(random));
+            const child = breeder.crossPlants(parentA, parentB, { mutagens: ["radiation"] });
+            
+            assert.equal(validateGeneSequence(child.toGeneSequence()).valid, true, child.toGeneSequence());
+        }
+    });
+    
+    test("a breeder-wide rate overrides the traits' own rates", () => {
+        const breeder = createBreeder("no mutations", { mutationRate: 0 });
+        const albinoFree = new Plant("AL:NN");
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            const child = breeder.crossPlants(albinoFree, albinoFree, { mutagens: ["radiation"] });
+            assert.equal(child.genes.AL, "NN");
+        }
+        assert.equal(breeder.crossingHistory.every(entry => entry.mutations.length === 0), true);
+        
+        assert.equal(createBreeder("trait rates").getMutationRate("AL"), GENE_TRAITS.AL.mutation.rate);
+        assert.equal(createBreeder("gene rates", { mutationRate: 0, mutationRates: { AL: 0.3 } }).getMutationRate("AL"), 0.3);
+    });
+    
+    test("records every mutation in the crossing history", () => {
+        const breeder = createBreeder("history", { mutationRate: 1 });
+        const child = breeder.crossPlants(new Plant(), new Plant());
+        const entry = breeder.crossingHistory[breeder.crossingHistory.length - 1];
+        
+        assert.equal(entry.offspringId, child.id);
+        assert.ok(entry.mutations.length > 0);
+        entry.mutations.forEach(mutation => assert.equal(child.genes[mutation.gene], mutation.after));
+    });
+});
+
+describe("PlantBreeder.predictOffspring", () => {
+    test("gives odds that add up to 1 for every gene", () => {
+        const breeder = createBreeder("prediction");
+        const random = createSeededRandom("prediction parents");
+        
+        for (let run = 0; run < 50; run++) {
+            const prediction = breeder.predictOffspring(
+                new Plant(randomGeneSequence(random)),
+                new Plant(randomGeneSequence(random))
+            );
+            
+            Object.keys(prediction.genes).forEach(key => {
+                const { genotypes, phenotypes } = prediction.genes[key];
+                const sum = list => list.reduce((total, entry) => total + entry.probability, 0);
+                
+                assert.ok(Math.abs(sum(genotypes) - 1) < 1e-9, `${key} genotypes add up to ${sum(genotypes)}`);
+                assert.ok(Math.abs(sum(phenotypes) - 1) < 1e-9, `${key} phenotypes add up to ${sum(phenotypes)}`);
+            });
+        }
+    });
+    
+    test("agrees with simulated crosses", () => {
+        const breeder = createBreeder("agreement", { mutationRate: 0 });
+        const parentA = new Plant("FC:RW-LS:13");
+        const parentB = new Plant("FC:BW-LS:23");
+        const target = { FC: "Purple", LS: "Heart" };
+        const predicted = breeder.predictOffspring(parentA, parentB).probability(target);
+        const crosses = 2000;
+        
+        let matches = 0;
+        for (let i = 0; i < crosses; i++) {
+            const child = breeder.crossPlants(parentA, parentB);
+            if (child.phenotype.FC.name === "Purple" && child.phenotype.LS.name === "Heart") matches++;
+        }
+        
+        assert.ok(predicted > 0);
+        assert.ok(Math.abs(matches / crosses - predicted) < 0.04, `predicted ${predicted}, got ${matches / crosses}`);
+    });
+});
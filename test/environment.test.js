@@ -0,0 +1,32 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GardenEnvironment, SEASONS } from "../src/index.js";
+
+describe("GardenEnvironment weather", () => {
+    test("temperature moves smoothly across season boundaries", () => {
+        // Rolls of 0.5 leave out the daily noise, so only the trend is left
+        const seasonLength = 30;
+        const environment = new GardenEnvironment({ random: () => 0.5, seasonLength });
+        const temperatures = [];
+        
+        for (let day = 0; day < seasonLength * SEASONS.length * 2; day++) {
+            temperatures.push(environment.rollWeather().temperature);
+            environment.day++;
+        }
+        
+        // Over the second half of a season the trend covers the whole gap to
+        // the next season's mean, a step a day
+        const largestGap = Math.max(...SEASONS.map((season, index) =>
+            Math.abs(SEASONS[(index + 1) % SEASONS.length].temperature - season.temperature)));
+        const largestStep = largestGap / (seasonLength / 2) + 0.1;
+        
+        for (let day = 1; day < temperatures.length; day++) {
+            assert.ok(Math.abs(temperatures[day] - temperatures[day - 1]) <= largestStep,
+                `day ${day}: ${temperatures[day - 1]} -> ${temperatures[day]}`);
+        }
+        
+        // The first day of a season is at its mean
+        assert.equal(temperatures[seasonLength], SEASONS[1].temperature);
+    });
+});
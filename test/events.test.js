@@ -0,0 +1,152 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { EventBus, Market, Plant, PlantBreeder, createSeededRandom } from "../src/index.js";
+
+// Collect every event emitted on a bus
+function record(events) {
+    const seen = [];
+    events.on("*", event => seen.push(event));
+    return seen;
+}
+
+describe("EventBus", () => {
+    test("calls listeners with the payload and its type", () => {
+        const events = new EventBus();
+        const seen = [];
+        
+        events.on("matured", event => seen.push(event));
+        events.emit("matured", { plant: "p1" });
+        events.emit("died", { plant: "p1" });
+        
+        assert.deepEqual(seen, [{ type: "matured", plant: "p1" }]);
+    });
+    
+    test("unsubscribes with off, the returned function and once", () => {
+        const events = new EventBus();
+        let count = 0;
+        const listener = () => count++;
+        
+        const unsubscribe = events.on("damaged", listener);
+        events.once("damaged", listener);
+        events.emit("damaged");
+        unsubscribe();
+        events.emit("damaged");
+        
+        assert.equal(count, 2);
+        
+        events.on("watered", listener);
+        events.off("watered", listener);
+        events.emit("watered");
+        
+        assert.equal(count, 2);
+    });
+    
+    test("rejects unknown event types", () => {
+        assert.throws(() => new EventBus().on("exploded", () => {}), /Unknown event type "exploded"/);
+        assert.throws(() => new EventBus().on("died", "not a function"), /must be a function/);
+    });
+    
+    test("keeps going when a listener throws", t => {
+        const events = new EventBus();
+        const errors = t.mock.method(console, "error", () => {});
+        let heard = false;
+        
+        events.on("died", () => {
+            throw new Error("broken listener");
+        });
+        events.on("died", () => {
+            heard = true;
+        });
+        events.emit("died");
+        
+        assert.equal(heard, true);
+        assert.equal(errors.mock.callCount(), 1);
+    });
+});
+
+describe("Plant events", () => {
+    test("reports damage and blames it for a death", () => {
+        const events = new EventBus();
+        const seen = record(events);
+        const plant = new Plant("RS:11-WN:11", { random: () => 0, events });
+        
+        while (plant.stage !== "death") {
+            plant.update(100, true, "storm");
+        }
+        
+        const damage = seen.filter(event => event.type === "damaged");
+        assert.ok(damage.length > 0);
+        damage.forEach(event => {
+            assert.equal(event.plant, plant);
+            assert.ok(["pests", "storm"].includes(event.cause));
+            assert.ok(event.amount > 0 && event.health >= 0);
+        });
+        
+        const died = seen.find(event => event.type === "died");
+        assert.equal(died.cause, damage[damage.length - 1].cause);
+        assert.equal(plant.health, 0);
+    });
+    
+    test("reports watering after a dry spell", () => {
+        const events = new EventBus();
+        const seen = record(events);
+        const plant = new Plant(null, { events });
+        
+        plant.update(100);
+        plant.update(0);
+        plant.update(100);
+        plant.update(100);
+        
+        const watered = seen.filter(event => event.type === "watered");
+        assert.equal(watered.length, 1);
+        assert.equal(watered[0].waterLevel, 100);
+    });
+    
+    test("reports stage changes, maturing and harvests", () => {
+        const events = new EventBus();
+        const seen = record(events);
+        const plant = new Plant(null, { events });
+        
+        while (!plant.ready) {
+            plant.update(100);
+        }
+        const result = plant.harvest({ market: new Market({ random: () => 0.5 }) });
+        
+        const stages = seen.filter(event => event.type === "stageChanged").map(event => event.to);
+        assert.deepEqual(stages, ["seedling", "vegetative", "flowering", "fruiting", "death"]);
+        assert.equal(seen.filter(event => event.type === "matured").length, 1);
+        
+        const harvested = seen[seen.length - 1];
+        assert.equal(harvested.type, "harvested");
+        assert.equal(harvested.coins, result.rewards.coins);
+        assert.equal(harvested.seeds, result.rewards.seeds);
+        assert.equal(harvested.regrows, false);
+    });
+});
+
+describe("PlantBreeder events", () => {
+    test("reports crosses and their mutations", () => {
+        const events = new EventBus();
+        const seen = record(events);
+        const breeder = new PlantBreeder({ random: createSeededRandom("events"), mutationRate: 1, events });
+        const parentA = new Plant("FC:RR");
+        const parentB = new Plant("FC:BB");
+        
+        const offspring = breeder.crossPlants(parentA, parentB, { mutagens: ["radiation"] });
+        const { mutations } = breeder.crossingHistory[0];
+        
+        assert.deepEqual(seen.map(event => event.type), [...mutations.map(() => "mutated"), "crossed"]);
+        seen.slice(0, -1).forEach((event, index) => {
+            assert.equal(event.plant, offspring);
+            assert.equal(event.gene, mutations[index].gene);
+            assert.equal(event.after, offspring.genes[event.gene]);
+        });
+        
+        const crossed = seen[seen.length - 1];
+        assert.equal(crossed.offspring, offspring);
+        assert.deepEqual(crossed.parents, [parentA, parentB]);
+        assert.deepEqual(crossed.mutagens, ["radiation"]);
+        assert.equal(offspring.events, events);
+    });
+});
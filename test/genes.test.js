@@ -0,0 +1,118 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GENE_TRAITS, GeneSequenceError, Plant, createSeededRandom, validateGeneSequence } from "../src/index.js";
+import { getDefaultGeneValue, getQuantitativeAlleles } from "../src/genes.js";
+import { PROPERTY_RUNS, randomGeneSequence } from "./helpers.js";
+
+// Problem codes reported for a sequence
+const codes = sequence => validateGeneSequence(sequence).problems.map(problem => problem.code);
+
+describe("validateGeneSequence", () => {
+    test("accepts a well-formed sequence", () => {
+        const result = validateGeneSequence("FC:RB-SZ:35-LS:12-GR:0812");
+        
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.problems, []);
+        assert.equal(result.genes.FC, "RB");
+        assert.equal(result.genes.SZ, "35");
+        assert.equal(result.genes.GR, "0812");
+    });
+    
+    test("fills missing genes with their defaults", () => {
+        const result = validateGeneSequence("FC:RR");
+        
+        Object.keys(GENE_TRAITS).filter(key => key !== "FC").forEach(key => {
+            assert.equal(result.genes[key], getDefaultGeneValue(GENE_TRAITS[key]), key);
+        });
+    });
+    
+    test("reports each kind of problem", () => {
+        assert.deepEqual(codes(42), ["invalid_sequence"]);
+        assert.deepEqual(codes("FC"), ["malformed_segment"]);
+        assert.deepEqual(codes("XX:12"), ["unknown_gene"]);
+        assert.deepEqual(codes("FC:RR-FC:BB"), ["duplicate_gene"]);
+        assert.deepEqual(codes("FC:RRB"), ["wrong_ploidy"]);
+        assert.deepEqual(codes("FC:RZ"), ["illegal_allele"]);
+        assert.deepEqual(codes("SZ:big"), ["invalid_number"]);
+        assert.deepEqual(codes("GR:081"), ["invalid_number"]);
+        assert.deepEqual(codes("SZ:39"), ["out_of_range"]);
+    });
+    
+    test("gives the position of each problem", () => {
+        const [problem] = validateGeneSequence("FC:RR-SZ:33-XX:1").problems;
+        
+        assert.equal(problem.index, 2);
+        assert.equal(problem.position, 12);
+        assert.equal(problem.gene, "XX");
+    });
+    
+    test("repairs what it can", () => {
+        assert.equal(validateGeneSequence("FC:R").genes.FC, "RR");
+        assert.equal(validateGeneSequence("SZ:4").genes.SZ, "44");
+        assert.equal(validateGeneSequence("SZ:09").genes.SZ, "15");
+    });
+    
+    test("never throws and always repairs to a valid sequence", () => {
+        const random = createSeededRandom("garbage");
+        const characters = "FCSZLGRYDAWNB0123456789:-";
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            let sequence = "";
+            const length = Math.floor(random() * 30);
+            for (let i = 0; i < length; i++) {
+                sequence += characters[Math.floor(random() * characters.length)];
+            }
+            
+            const { genes } = validateGeneSequence(sequence);
+            const repaired = Object.keys(genes).map(key => `${key}:${genes[key]}`).join("-");
+            
+            assert.equal(validateGeneSequence(repaired).valid, true, `${sequence} -> ${repaired}`);
+        }
+    });
+    
+    test("keeps every quantitative allele within its trait's range", () => {
+        const random = createSeededRandom("ranges");
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            const { genes } = validateGeneSequence(randomGeneSequence(random));
+            
+            Object.keys(genes).forEach(key => {
+                const trait = GENE_TRAITS[key];
+                if (trait.type !== "quantitative") return;
+                
+                getQuantitativeAlleles(trait, genes[key]).forEach(allele => {
+                    assert.ok(allele >= trait.min && allele <= trait.max, `${key}:${genes[key]}`);
+                });
+            });
+        }
+    });
+});
+
+describe("Plant gene parsing", () => {
+    test("round-trips random sequences", () => {
+        const random = createSeededRandom("round trip");
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            const sequence = randomGeneSequence(random);
+            const plant = new Plant(sequence);
+            
+            assert.equal(new Plant(plant.toGeneSequence()).toGeneSequence(), plant.toGeneSequence());
+            assert.deepEqual(new Plant(plant.toGeneSequence()).genes, plant.genes);
+        }
+    });
+    
+    test("throws a GeneSequenceError in strict mode", () => {
+        assert.throws(() => new Plant("FC:RZ-SZ:99", { strict: true }), error => {
+            assert.ok(error instanceof GeneSequenceError);
+            assert.deepEqual(error.problems.map(problem => problem.code), ["illegal_allele", "out_of_range", "out_of_range"]);
+            return true;
+        });
+    });
+    
+    test("repairs bad sequences when not strict", () => {
+        const plant = new Plant("FC:RZ-SZ:99");
+        
+        assert.equal(validateGeneSequence(plant.toGeneSequence()).valid, true);
+    });
+});
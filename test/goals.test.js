@@ -0,0 +1,41 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Plant,
+    PlantBreeder,
+    QuestLog,
+    TRAIT_INTERACTIONS,
+    createSeededRandom,
+    registerTraitInteraction
+} from "../src/index.js";
+
+describe("QuestLog", () => {
+    test("checks bred offspring with their lineage", t => {
+        // Inbred plants stay small, so the quest can only be met by an
+        // offspring checked with its real inbreeding
+        const rule = registerTraitInteraction({
+            id: "test-inbred-dwarf",
+            apply(phenotype, genes, plant) {
+                if (phenotype.SZ && plant.inbreedingCoefficient > 0) phenotype.SZ.value = 1;
+            }
+        });
+        t.after(() => TRAIT_INTERACTIONS.splice(TRAIT_INTERACTIONS.indexOf(rule), 1));
+        
+        const breeder = new PlantBreeder({ random: createSeededRandom("quest lineage"), mutationRate: 0 });
+        const quests = new QuestLog({
+            breeder,
+            quests: [{ id: "giant", type: "breed", title: "Giant", goal: { SZ: { gte: 5 } } }]
+        });
+        quests.start("giant");
+        
+        const parent = new Plant("SZ:55");
+        const child = breeder.crossPlants(parent, parent);
+        
+        assert.equal(child.inbreedingCoefficient, 0.5);
+        assert.deepEqual(quests.update(), []);
+        
+        breeder.crossPlants(parent, new Plant("SZ:55"));
+        assert.deepEqual(quests.update().map(quest => quest.id), ["giant"]);
+    });
+});
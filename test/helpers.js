@@ -0,0 +1,35 @@
+// Shared helpers for the test suite
+
+import { GENE_TRAITS } from "../src/traits.js";
+import { formatQuantitativeAlleles, getAlleleScale, getTraitLoci } from "../src/genes.js";
+
+// Number of cases each property test tries
+export const PROPERTY_RUNS = 200;
+
+// A random value for a gene: any two alleles (novel ones included) or any
+// in-range quantitative alleles
+export function randomGeneValue(key, random) {
+    const trait = GENE_TRAITS[key];
+    
+    if (trait.type === "qualitative") {
+        const alleles = Object.keys(trait.alleles);
+        const pick = () => alleles[Math.floor(random() * alleles.length)];
+        return pick() + pick();
+    }
+    
+    const scale = getAlleleScale(trait);
+    const steps = Math.round((trait.max - trait.min) * scale);
+    const alleles = [];
+    for (let i = 0; i < getTraitLoci(trait) * 2; i++) {
+        alleles.push(trait.min + Math.floor(random() * (steps + 1)) / scale);
+    }
+    
+    return formatQuantitativeAlleles(trait, alleles);
+}
+
+// A random, valid gene sequence covering every gene
+export function randomGeneSequence(random) {
+    return Object.keys(GENE_TRAITS)
+        .map(key => `${key}:${randomGeneValue(key, random)}`)
+        .join("-");
+}
@@ -0,0 +1,129 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GENE_TRAITS, Plant, calculateGenePhenotype, createSeededRandom, matchesTraitCondition } from "../src/index.js";
+import { getQuantitativeAlleles } from "../src/genes.js";
+import { PROPERTY_RUNS, randomGeneValue } from "./helpers.js";
+
+describe("calculateGenePhenotype", () => {
+    test("expresses homozygotes as their allele", () => {
+        assert.equal(calculateGenePhenotype("FC", "RR").name, "Red");
+        assert.equal(calculateGenePhenotype("LS", "22").name, "Heart");
+    });
+    
+    test("lets the more dominant allele win", () => {
+        // Leaf shape: oval (1) over heart (2) over pointed (3)
+        assert.equal(calculateGenePhenotype("LS", "12").name, "Oval");
+        assert.equal(calculateGenePhenotype("LS", "21").name, "Oval");
+        assert.equal(calculateGenePhenotype("LS", "23").name, "Heart");
+        assert.equal(calculateGenePhenotype("LS", "31").name, "Oval");
+        assert.equal(calculateGenePhenotype("FC", "RW").name, "Light Red");
+    });
+    
+    test("uses blends for equally dominant alleles", () => {
+        const purple = calculateGenePhenotype("FC", "RB");
+        
+        assert.equal(purple.name, "Purple");
+        assert.equal(purple.rarity, 1.5);
+        assert.deepEqual(calculateGenePhenotype("FC", "BR"), purple);
+    });
+    
+    test("shows both colours of codominant alleles", () => {
+        const phenotype = calculateGenePhenotype("FC", "KG");
+        
+        assert.equal(phenotype.codominant, true);
+        assert.equal(phenotype.pattern, "striped");
+        assert.deepEqual(phenotype.values, [GENE_TRAITS.FC.alleles.K.value, GENE_TRAITS.FC.alleles.G.value]);
+    });
+    
+    test("averages quantitative alleles", () => {
+        assert.equal(calculateGenePhenotype("SZ", "15").value, 3);
+        assert.equal(calculateGenePhenotype("GR", "0812").value, 1);
+        assert.equal(calculateGenePhenotype("YD", "55").coinMultiplier, GENE_TRAITS.YD.valueMap[5].coinMultiplier);
+    });
+    
+    test("keeps quantitative values between the alleles", () => {
+        const random = createSeededRandom("quantitative");
+        const keys = Object.keys(GENE_TRAITS).filter(key => GENE_TRAITS[key].type === "quantitative");
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            const key = keys[run % keys.length];
+            const value = randomGeneValue(key, random);
+            const alleles = getQuantitativeAlleles(GENE_TRAITS[key], value);
+            const phenotype = calculateGenePhenotype(key, value);
+            
+            assert.ok(phenotype.value >= Math.min(...alleles) && phenotype.value <= Math.max(...alleles),
+                `${key}:${value} -> ${phenotype.value}`);
+        }
+    });
+    
+    test("always has a phenotype for any genotype", () => {
+        const random = createSeededRandom("phenotypes");
+        const keys = Object.keys(GENE_TRAITS);
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            const key = keys[run % keys.length];
+            const value = randomGeneValue(key, random);
+            const phenotype = calculateGenePhenotype(key, value);
+            
+            assert.ok(phenotype && phenotype.value !== undefined, `${key}:${value}`);
+        }
+    });
+});
+
+describe("Plant phenotype", () => {
+    test("masks flower colour in albino plants", () => {
+        const albino = new Plant("FC:RR-AL:AA");
+        
+        assert.equal(albino.phenotype.FC.name, "Albino");
+        assert.equal(albino.phenotype.FC.maskedBy, "AL");
+        assert.equal(albino.phenotype.FC.hidden.name, "Red");
+    });
+    
+    test("hides the colours and pattern of a codominant flower in albino plants", () => {
+        const albino = new Plant("FC:KG-AL:AA");
+        
+        assert.equal(albino.phenotype.FC.value, "#F4F1EA");
+        assert.equal(albino.phenotype.FC.values, undefined);
+        assert.equal(albino.phenotype.FC.pattern, undefined);
+        assert.equal(albino.phenotype.FC.codominant, undefined);
+        assert.deepEqual(albino.phenotype.FC.hidden.values, ["#2B2B6B", "#E6B422"]);
+    });
+    
+    test("shows flower colour in carriers of albinism", () => {
+        const carrier = new Plant("FC:RR-AL:NA");
+        
+        assert.equal(carrier.phenotype.FC.name, "Red");
+        assert.equal(carrier.phenotype.FC.maskedBy, undefined);
+    });
+    
+    test("gives novel and masked flower colours an emoji", () => {
+        assert.equal(new Plant("FC:KK").getEmoji(), "🥀");
+        assert.equal(new Plant("FC:GG").getEmoji(), "🏵️");
+        assert.equal(new Plant("FC:KG").getEmoji(), "🥀");
+        assert.equal(new Plant("FC:RR-AL:AA").getEmoji(), "🌼");
+    });
+});
+
+describe("matchesTraitCondition", () => {
+    const purple = calculateGenePhenotype("FC", "RB");
+    const size = calculateGenePhenotype("SZ", "45");
+    
+    test("matches names and values case-insensitively", () => {
+        assert.equal(matchesTraitCondition(purple, "purple"), true);
+        assert.equal(matchesTraitCondition(purple, purple.value.toLowerCase()), true);
+        assert.equal(matchesTraitCondition(purple, "Red"), false);
+    });
+    
+    test("compares numbers with operators", () => {
+        assert.equal(matchesTraitCondition(size, 4), false);
+        assert.equal(matchesTraitCondition(size, { gte: 4 }), true);
+        assert.equal(matchesTraitCondition(size, { gte: 4, lt: 4.5 }), false);
+        assert.equal(matchesTraitCondition(purple, { in: ["Red", "Purple"] }), true);
+    });
+    
+    test("accepts predicates", () => {
+        assert.equal(matchesTraitCondition(size, phenotype => phenotype.scale > 1), true);
+        assert.equal(matchesTraitCondition(null, "Purple"), false);
+    });
+});
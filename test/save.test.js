@@ -0,0 +1,131 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    Market,
+    Plant,
+    PlantBreeder,
+    SeedBank,
+    createSeededRandom,
+    decodeSeedCode,
+    initializeGeneticsSystem,
+    deserializeGarden,
+    encodeSeedCode,
+    serializeGarden
+} from "../src/index.js";
+import { PROPERTY_RUNS, randomGeneSequence } from "./helpers.js";
+
+describe("seed codes", () => {
+    test("round-trip random plants", () => {
+        const random = createSeededRandom("seed codes");
+        
+        for (let run = 0; run < PROPERTY_RUNS; run++) {
+            const plant = new Plant(randomGeneSequence(random));
+            const code = encodeSeedCode(plant);
+            
+            assert.equal(decodeSeedCode(code), plant.toGeneSequence());
+            assert.equal(Plant.fromSeedCode(code).toGeneSequence(), plant.toGeneSequence());
+        }
+    });
+    
+    test("catch typos", () => {
+        const code = encodeSeedCode(new Plant("FC:RB-SZ:45"));
+        const last = code[code.length - 1];
+        const typo = code.slice(0, -1) + (last === "0" ? "1" : "0");
+        
+        assert.throws(() => decodeSeedCode(typo), /Invalid seed code/);
+        assert.throws(() => decodeSeedCode("GS1-!!"), /Invalid seed code/);
+    });
+});
+
+describe("save / load", () => {
+    test("round-trips a garden", () => {
+        const random = createSeededRandom("save");
+        const breeder = new PlantBreeder({ random, mutationRates: { FC: 0.2 } });
+        const parentA = new Plant(randomGeneSequence(random));
+        const parentB = new Plant(randomGeneSequence(random));
+        const child = breeder.crossPlants(parentA, parentB);
+        child.update(60, false, null);
+        
+        const market = new Market({ random });
+        market.sell(child);
+        
+        const seedBank = new SeedBank({ random });
+        seedBank.deposit(child, 2);
+        seedBank.advanceDay(5);
+        
+        const game = {
+            coins: 42,
+            plants: [parentA, parentB, child],
+            seedInventory: seedBank.getInventory(),
+            seedBank,
+            breeder,
+            market
+        };
+        
+        const saved = JSON.parse(JSON.stringify(serializeGarden(game)));
+        const loaded = deserializeGarden(saved, { random });
+        
+        assert.equal(loaded.coins, 42);
+        assert.deepEqual(loaded.seedInventory, game.seedInventory);
+        assert.deepEqual(
+            loaded.plants.map(plant => [plant.id, plant.toGeneSequence(), plant.progress, plant.parents]),
+            game.plants.map(plant => [plant.id, plant.toGeneSequence(), plant.progress, plant.parents])
+        );
+        assert.deepEqual(loaded.breeder.mutationRates, { FC: 0.2 });
+        assert.equal(loaded.breeder.crossingHistory.length, 1);
+        assert.equal(loaded.market.getPrice(child), market.getPrice(child));
+        assert.deepEqual(serializeGarden(loaded), serializeGarden(game));
+        
+        // Plants the loaded breeder meets come after the restored pedigree
+        const grandchild = loaded.breeder.crossPlants(loaded.plants[2], loaded.plants[0]);
+        assert.equal(loaded.breeder.getPedigreeEntry(grandchild.id).order, 3);
+        assert.equal(grandchild.inbreedingCoefficient, 0.25);
+    });
+    
+    test("crosses relatives the same way after a game is loaded", () => {
+        const crossBackcross = (reload) => {
+            const random = createSeededRandom("reload");
+            let genetics = initializeGeneticsSystem({ plants: [] }, { random });
+            const founderA = new Plant("FC:RR-SZ:55");
+            const founderB = new Plant("FC:BB-SZ:11");
+            const child = genetics.crossPlants(founderA, founderB);
+            
+            // Load the save into a fresh game, as when the page is reopened
+            if (reload) {
+                const saved = JSON.parse(JSON.stringify(genetics.save()));
+                genetics = initializeGeneticsSystem({ plants: [] }, { random }).load(saved);
+            }
+            
+            // Plants registered after the load have to come after the saved ones
+            const grandchild = genetics.crossPlants(child, founderA);
+            
+            return genetics.crossPlants(grandchild, child).inbreedingCoefficient;
+        };
+        
+        assert.equal(crossBackcross(false), 0.375);
+        assert.equal(crossBackcross(true), 0.375);
+    });
+    
+    test("keeps market seed stock readable under any spelling of its genes", () => {
+        const market = new Market({ seedStock: { "SZ:45-FC:RB": 2 } });
+        market.sellSeeds("FC:RB-SZ:45", 1);
+        
+        const saved = JSON.parse(JSON.stringify(serializeGarden({ market })));
+        const loaded = deserializeGarden(saved).market;
+        
+        for (const geneSequence of ["FC:RB-SZ:45", "SZ:45-FC:RB", new Plant("FC:RB-SZ:45").toGeneSequence()]) {
+            assert.equal(market.getSeedStock(geneSequence), 3);
+            assert.equal(loaded.getSeedStock(geneSequence), 3);
+        }
+        assert.notEqual(loaded.buySeeds("SZ:45-FC:RB", 3), null);
+        assert.equal(loaded.getSeedStock("FC:RB-SZ:45"), 0);
+    });
+    
+    test("rejects saves from a newer version", () => {
+        const saved = serializeGarden({});
+        saved.version += 1;
+        
+        assert.throws(() => deserializeGarden(saved), /version/);
+    });
+});
@@ -0,0 +1,185 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    EventBus,
+    Plant,
+    PlantBreeder,
+    SeedBank,
+    createSeededRandom,
+    deserializeGarden,
+    initializeGeneticsSystem,
+    serializeGarden
+} from "../src/index.js";
+
+describe("SeedBank", () => {
+    test("withdraws the oldest seeds first", () => {
+        const seedBank = new SeedBank();
+        
+        seedBank.deposit("FC:RB-SZ:45", 2);
+        seedBank.advanceDay(10);
+        seedBank.deposit("FC:RB-SZ:45-LS:11", 3);
+        
+        assert.equal(seedBank.getCount("FC:RB-SZ:45"), 5);
+        assert.deepEqual(seedBank.withdraw("FC:RB-SZ:45", 3).map(lot => [lot.count, lot.day]), [[2, 0], [1, 10]]);
+        assert.equal(seedBank.withdraw("FC:RB-SZ:45", 3), null);
+        assert.equal(seedBank.getCount("FC:RB-SZ:45"), 2);
+    });
+    
+    test("files a genotype under one entry whatever order its genes are written in", () => {
+        const seedBank = new SeedBank();
+        
+        seedBank.deposit("FC:RB-SZ:45", 2);
+        seedBank.deposit("SZ:45-FC:RB", 1);
+        
+        assert.equal(Object.keys(seedBank.entries).length, 1);
+        assert.equal(seedBank.getCount("SZ:45-FC:RB"), 3);
+        assert.equal(seedBank.withdraw("FC:RB-SZ:45", 3).length, 1);
+        assert.equal(new Plant("SZ:45-FC:RB").toGeneSequence(), new Plant("FC:RB-SZ:45").toGeneSequence());
+    });
+    
+    test("seeds lose viability with age", () => {
+        const seedBank = new SeedBank({ germinationRate: 0.8, viabilityHalfLife: 30 });
+        
+        assert.equal(seedBank.getViability(0), 0.8);
+        assert.equal(seedBank.getViability(30), 0.4);
+        assert.equal(seedBank.getViability(60), 0.2);
+    });
+    
+    test("germinates seeds with their lineage and reports it", () => {
+        const events = new EventBus();
+        const seen = [];
+        events.on("germinated", event => seen.push(event));
+        
+        const breeder = new PlantBreeder({ random: createSeededRandom("seed bank") });
+        const child = breeder.crossPlants(new Plant("FC:RR-SZ:55"), new Plant("FC:BB-SZ:11"));
+        
+        const seedBank = new SeedBank({ events, random: () => 0 });
+        seedBank.deposit(child);
+        const result = seedBank.germinate(child.toGeneSequence());
+        
+        assert.equal(result.success, true);
+        assert.equal(result.plant.toGeneSequence(), child.toGeneSequence());
+        assert.deepEqual(result.plant.parents, child.parents);
+        assert.equal(result.plant.generation, child.generation);
+        assert.equal(seedBank.getCount(child.toGeneSequence()), 0);
+        assert.equal(seedBank.germinate(child.toGeneSequence()), null);
+        assert.deepEqual(seen.map(event => [event.success, event.plant]), [[true, result.plant]]);
+    });
+    
+    test("old seeds can fail to germinate", () => {
+        const seedBank = new SeedBank({ random: () => 0.5 });
+        
+        seedBank.deposit("FC:RB-SZ:45", 2);
+        assert.equal(seedBank.germinate("FC:RB-SZ:45").success, true);
+        
+        seedBank.advanceDay(120);
+        const result = seedBank.germinate("FC:RB-SZ:45");
+        
+        assert.equal(result.success, false);
+        assert.equal(result.plant, null);
+        assert.equal(result.age, 120);
+        assert.equal(seedBank.getCount("FC:RB-SZ:45"), 0);
+    });
+    
+    test("searches seeds by trait, label and viability", () => {
+        const seedBank = new SeedBank();
+        
+        seedBank.deposit("FC:RR-SZ:55", 1);
+        seedBank.deposit("FC:BB-SZ:11", 4);
+        seedBank.label("FC:RR-SZ:55", "Big red");
+        
+        const sequences = seeds => seeds.map(seed => seed.geneSequence);
+        
+        assert.equal(seedBank.search().length, 2);
+        assert.deepEqual(sequences(seedBank.search({ FC: "Red" })), sequences(seedBank.search({}, { label: "big" })));
+        assert.equal(seedBank.search({ FC: "Red" }).length, 1);
+        assert.equal(seedBank.search({}, { minViability: 0.95 }).length, 0);
+        assert.throws(() => seedBank.search({ FC: { is: "Red", weight: -1 } }), /Invalid seed search/);
+        assert.equal(seedBank.label("FC:YY-SZ:11", "Missing"), false);
+    });
+    
+    test("round-trips through a save, and loads saves from before the seed bank", () => {
+        const seedBank = new SeedBank({ viabilityHalfLife: 40 });
+        seedBank.deposit("FC:RB-SZ:45", 2);
+        seedBank.advanceDay(7);
+        seedBank.deposit("FC:RB-SZ:45", 1);
+        seedBank.label("FC:RB-SZ:45", "Keeper");
+        
+        const saved = JSON.parse(JSON.stringify(serializeGarden({ seedBank })));
+        const loaded = deserializeGarden(saved).seedBank;
+        
+        assert.deepEqual(loaded.getSeeds(), seedBank.getSeeds());
+        assert.equal(loaded.viabilityHalfLife, 40);
+        
+        delete saved.garden.seedBank;
+        saved.garden.seedInventory = { "FC:RB-SZ:45": 3 };
+        const migrated = deserializeGarden(saved);
+        
+        assert.deepEqual(migrated.seedInventory, { [new Plant("FC:RB-SZ:45").toGeneSequence()]: 3 });
+        assert.equal(migrated.seedBank.getSeeds()[0].lots[0].day, 0);
+    });
+});
+
+describe("seed bank in the game", () => {
+    test("keeps the inventory in the seed bank", () => {
+        const game = { plants: [], seedInventory: { "FC:RB-SZ:45": 1 } };
+        const genetics = initializeGeneticsSystem(game, { random: () => 0 });
+        const geneSequence = new Plant("FC:RB-SZ:45").toGeneSequence();
+        
+        assert.equal(game.seedBank, genetics.seedBank);
+        assert.deepEqual(game.seedInventory, { [geneSequence]: 1 });
+        
+        const plant = genetics.plant(geneSequence);
+        
+        assert.equal(plant.toGeneSequence(), geneSequence);
+        assert.deepEqual(game.seedInventory, {});
+        assert.equal(genetics.plant(geneSequence), null);
+    });
+    
+    test("lists the inventory without using up plant IDs", () => {
+        const game = { plants: [], seedInventory: { "FC:RB-SZ:45": 2 } };
+        const genetics = initializeGeneticsSystem(game);
+        
+        const before = new Plant("FC:RB-SZ:45").id;
+        const [seed] = genetics.getSeedInventory();
+        const after = new Plant("FC:RB-SZ:45").id;
+        
+        assert.equal(seed.count, 2);
+        assert.ok(seed.info);
+        assert.equal(Number(after.split("-")[1]), Number(before.split("-")[1]) + 1);
+    });
+    
+    test("harvested seeds keep their lineage when replanted", () => {
+        const game = { plants: [] };
+        const genetics = initializeGeneticsSystem(game, { random: () => 0 });
+        const founderA = new Plant("FC:RR-SZ:55");
+        const founderB = new Plant("FC:BB-SZ:11");
+        const child = genetics.crossPlants(founderA, founderB);
+        
+        const grown = genetics.plant(child.toGeneSequence());
+        grown.progress = 100;
+        grown.ready = true;
+        genetics.harvest(grown);
+        
+        const replanted = genetics.plant(grown.toGeneSequence());
+        
+        assert.deepEqual(replanted.parents, child.parents);
+        assert.equal(replanted.generation, 1);
+        assert.equal(genetics.crossPlants(replanted, founderA).inbreedingCoefficient, 0.25);
+    });
+    
+    test("crossing stored seeds keeps their kinship", () => {
+        const game = { plants: [] };
+        const genetics = initializeGeneticsSystem(game, { random: createSeededRandom("sibling seeds") });
+        const parentA = new Plant("FC:RR-SZ:55");
+        const parentB = new Plant("FC:BB-SZ:11");
+        const siblingA = genetics.crossPlants(parentA, parentB);
+        const siblingB = genetics.crossPlants(parentA, parentB);
+        
+        const offspring = genetics.crossSeeds(siblingA.toGeneSequence(), siblingB.toGeneSequence());
+        
+        assert.equal(offspring.inbreedingCoefficient, 0.25);
+        assert.equal(offspring.generation, 2);
+    });
+});
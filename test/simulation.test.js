@@ -0,0 +1,24 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { runBreedingExperiment, runBreedingSimulation } from "../src/index.js";
+
+describe("runBreedingSimulation", () => {
+    test("averages a small experiment", () => {
+        const report = runBreedingSimulation({ generations: 2, populationSize: 6, runs: 2 });
+        
+        assert.equal(report.runs.length, 2);
+        assert.equal(report.averages.length, 3);
+    });
+    
+    test("needs at least one run", () => {
+        assert.throws(() => runBreedingSimulation({ runs: 0 }), /at least one run/);
+        assert.throws(() => runBreedingSimulation({ runs: 1.5 }), /at least one run/);
+    });
+    
+    test("rejects unknown strategies and populations too small to cross", () => {
+        assert.throws(() => runBreedingSimulation({ strategy: "bogus" }), /Unknown simulation strategy "bogus"/);
+        assert.throws(() => runBreedingSimulation({ populationSize: 0 }), /population of at least 2/);
+        assert.throws(() => runBreedingExperiment({ populationSize: 1 }), /population of at least 2/);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    BUILT_IN_CHROMOSOMES,
+    CHROMOSOMES,
+    GENE_TRAITS,
+    Plant,
+    TRAIT_INTERACTIONS,
+    getGeneLocation,
+    getRecombinationFrequency,
+    loadTraitDefinitions
+} from "../src/index.js";
+
+// A small qualitative trait for loading from JSON
+const fragrance = {
+    name: "Fragrance",
+    type: "qualitative",
+    alleles: {
+        S: { name: "Sweet", dominance: 2, value: 2 },
+        N: { name: "None", dominance: 1, value: 0 }
+    },
+    defaultValue: "NN"
+};
+
+describe("loadTraitDefinitions", () => {
+    test("registers nothing when an interaction is invalid", () => {
+        const interactionCount = TRAIT_INTERACTIONS.length;
+        
+        assert.throws(() => loadTraitDefinitions({
+            traits: { FR: fragrance },
+            interactions: [{ id: "bad-fragrance", target: "XX", property: "value" }]
+        }), /interaction bad-fragrance/);
+        
+        assert.equal(GENE_TRAITS.FR, undefined);
+        assert.equal(TRAIT_INTERACTIONS.length, interactionCount);
+    });
+    
+    test("lets interactions refer to traits from the same file", () => {
+        loadTraitDefinitions(JSON.stringify({
+            traits: { FR: fragrance },
+            interactions: [{ id: "sweet-size", target: "FR", property: "value", multiplyBy: { trait: "SZ" } }]
+        }));
+        
+        assert.ok(GENE_TRAITS.FR);
+        assert.equal(new Plant("FR:SS-SZ:22").phenotype.FR.value, 4);
+    });
+});
+
+describe("linkage", () => {
+    test("genes assort independently until a chromosome map is loaded", () => {
+        assert.deepEqual(CHROMOSOMES, {});
+        assert.equal(getRecombinationFrequency("SZ", "WN"), 0.5);
+        
+        loadTraitDefinitions({ chromosomes: BUILT_IN_CHROMOSOMES });
+        
+        assert.deepEqual(getGeneLocation("WN"), { chromosome: "1", position: 12 });
+        assert.ok(getRecombinationFrequency("SZ", "WN") < getRecombinationFrequency("SZ", "RS"));
+        assert.equal(getRecombinationFrequency("SZ", "FC"), 0.5);
+    });
+});